@@ -0,0 +1,4 @@
+const { letterHandler } = require('../shared/letter');
+
+// POST /letters/:type - see shared/registry.js for the available letter types
+module.exports = letterHandler;
@@ -0,0 +1,4 @@
+const { verifyHandler } = require('../shared/verification');
+
+// GET /verify/:documentId - public check that a letter is genuine
+module.exports = verifyHandler;
@@ -0,0 +1,20 @@
+// Compare the date property types in config/date-properties.json with
+// HubSpot's property definitions; a date read as the wrong type prints a day
+// off. Needs HS_TOKEN2 (with CRM schema read access) in the environment.
+// Exits with 1 on a mismatch.
+//   npm run check-date-properties
+const { datePropertyProblems } = require('../shared/format');
+const { fetchPropertyDefinition } = require('../shared/hubspot');
+
+datePropertyProblems(fetchPropertyDefinition).then((problems) => {
+  if (problems.length === 0) {
+    console.log('✅ config/date-properties.json matches HubSpot');
+    return;
+  }
+  console.log(`❌ config/date-properties.json: ${problems.length} to fix`);
+  for (const problem of problems) console.log(`   ${problem}`);
+  process.exitCode = 1;
+}).catch((error) => {
+  console.error('❌ Failed to check date properties:', error.message);
+  process.exit(1);
+});
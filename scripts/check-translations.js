@@ -0,0 +1,27 @@
+// List what each message catalog in config/locales/ still needs: untranslated
+// keys (printed in English until translated), keys English does not have and
+// placeholders that differ from English. Exits with 1 when there is anything to fix.
+//   npm run check-translations          every language
+//   npm run check-translations -- es    one language
+const { listLanguages, catalogProblems, languageMeta } = require('../shared/language');
+
+const requested = process.argv.slice(2);
+const unknown = requested.filter(language => !listLanguages().includes(language));
+if (unknown.length > 0) {
+  console.error(`❌ No catalog for ${unknown.join(', ')} (have ${listLanguages().join(', ')})`);
+  process.exit(1);
+}
+
+let failed = false;
+for (const language of requested.length > 0 ? requested : listLanguages()) {
+  const problems = catalogProblems(language);
+  if (problems.length === 0) {
+    console.log(`✅ ${language} (${languageMeta(language).name})`);
+    continue;
+  }
+  failed = true;
+  console.log(`❌ ${language} (${languageMeta(language).name}): ${problems.length} to fix`);
+  for (const problem of problems) console.log(`   ${problem}`);
+}
+
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,25 @@
+// Download the images listed in assets/manifest.json into assets/
+// Run once (and commit the files) whenever the branding or a signature changes
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const ASSETS_DIR = path.join(__dirname, '..', 'assets');
+const manifest = require('../assets/manifest.json');
+
+async function fetchAssets() {
+  for (const [relativePath, url] of Object.entries(manifest)) {
+    console.log(`📥 ${url}`);
+    const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 30000 });
+
+    const file = path.join(ASSETS_DIR, relativePath);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, Buffer.from(response.data));
+    console.log(`✅ assets/${relativePath} (${response.data.byteLength} bytes)`);
+  }
+}
+
+fetchAssets().catch((error) => {
+  console.error('❌ Failed to fetch assets:', error.message);
+  process.exit(1);
+});
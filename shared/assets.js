@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Branding assets and fonts shipped in assets/ and inlined as data URIs,
+ * so rendering a letter makes no network requests.
+ * assets/manifest.json records where each image came from; run
+ * `npm run fetch-assets` to (re)download them.
+ */
+
+const ASSETS_DIR = path.join(__dirname, '..', 'assets');
+
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.woff2': 'font/woff2'
+};
+
+const BRAND_IMAGES = {
+  logo: 'images/prepdoctors_blue_logo.png',
+  watermark: 'images/watermark.png'
+};
+
+// Montserrat from @fontsource (SIL OFL 1.1); latin-ext covers names like "Côte" and "Łukasz"
+const FONT_SUBSETS = {
+  latin: 'U+0000-00FF,U+0131,U+0152-0153,U+02BB-02BC,U+02C6,U+02DA,U+02DC,U+0304,U+0308,U+0329,U+2000-206F,U+20AC,U+2122,U+2191,U+2193,U+2212,U+2215,U+FEFF,U+FFFD',
+  'latin-ext': 'U+0100-02BA,U+02BD-02C5,U+02C7-02CC,U+02CE-02D7,U+02DD-02FF,U+0304,U+0308,U+0329,U+1D00-1DBF,U+1E00-1E9F,U+1EF2-1EFF,U+2020,U+20A0-20AB,U+20AD-20C0,U+2113,U+2C60-2C7F,U+A720-A7FF'
+};
+const FONT_WEIGHTS = [400, 500, 600, 700];
+
+// Noto Sans Arabic from @fontsource (SIL OFL 1.1) for Arabic letters and names; Montserrat has no Arabic
+const ARABIC_RANGE = 'U+0600-06FF,U+0750-077F,U+0870-088E,U+0890-0891,U+0897-08E1,U+08E3-08FF,U+200C-200E,U+2010-2011,U+204F,U+2E41,U+FB50-FDFF,U+FE70-FE74,U+FE76-FEFC';
+
+// Header and footer templates only see system fonts, so the footer's Arabic
+// needs an installed font; shared/browser.js installs these for @sparticuz/chromium
+const SYSTEM_FONTS = ['fonts/noto-sans-arabic/NotoSansArabic-Bold.ttf'];
+
+const dataUris = new Map();
+
+/**
+ * Whether a value is a safe relative path inside assets/
+ */
+const isAssetPath = (value) => typeof value === 'string' &&
+  /^[\w-]+(\/[\w.-]+)*$/.test(value) &&
+  !value.split('/').includes('..') &&
+  Object.prototype.hasOwnProperty.call(MIME_TYPES, path.extname(value).toLowerCase());
+
+/**
+ * Read an asset and return it as a data URI (cached per warm instance)
+ * @param {string} relativePath - path inside assets/, e.g. "signatures/dipty-missra.jpg"
+ */
+function assetDataUri(relativePath) {
+  if (!isAssetPath(relativePath)) {
+    throw new Error(`Invalid asset path: ${relativePath}`);
+  }
+
+  if (!dataUris.has(relativePath)) {
+    const file = path.join(ASSETS_DIR, relativePath);
+    if (!fs.existsSync(file)) {
+      throw new Error(`Missing asset assets/${relativePath} - run "npm run fetch-assets" and commit the file`);
+    }
+    const mime = MIME_TYPES[path.extname(relativePath).toLowerCase()];
+    dataUris.set(relativePath, `data:${mime};base64,${fs.readFileSync(file).toString('base64')}`);
+  }
+  return dataUris.get(relativePath);
+}
+
+const fontFace = (family, weight, file, range) => `
+  @font-face { font-family: '${family}'; font-style: normal; font-display: block; font-weight: ${weight}; src: url(${assetDataUri(file)}) format('woff2'); unicode-range: ${range}; }`;
+
+/**
+ * @font-face rules for Montserrat and Noto Sans Arabic with the font files inlined
+ */
+function fontFaceCss() {
+  return FONT_WEIGHTS.flatMap(weight => [
+    ...Object.entries(FONT_SUBSETS).map(([subset, range]) =>
+      fontFace('Montserrat', weight, `fonts/montserrat/montserrat-${subset}-${weight}-normal.woff2`, range)),
+    fontFace('Noto Sans Arabic', weight, `fonts/noto-sans-arabic/noto-sans-arabic-arabic-${weight}-normal.woff2`, ARABIC_RANGE)
+  ]).join('');
+}
+
+/**
+ * Everything the letter templates embed: fonts, logo, watermark and the signatory's signature
+ */
+function letterAssets(signatory) {
+  return {
+    fontFaces: fontFaceCss(),
+    logo: assetDataUri(BRAND_IMAGES.logo),
+    watermark: assetDataUri(BRAND_IMAGES.watermark),
+    signature: assetDataUri(signatory.signature)
+  };
+}
+
+module.exports = {
+  ASSETS_DIR,
+  SYSTEM_FONTS,
+  isAssetPath,
+  assetDataUri,
+  fontFaceCss,
+  letterAssets
+};
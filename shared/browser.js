@@ -0,0 +1,248 @@
+const puppeteer = require('puppeteer-core');
+const chromium = require('@sparticuz/chromium');
+const path = require('path');
+const { ASSETS_DIR, SYSTEM_FONTS } = require('./assets');
+
+// Browser instance management for performance (from PUPPETEER_SERVERLESS_GUIDE)
+let browserInstance = null;
+
+/**
+ * Get or create browser instance (optimized for serverless)
+ * CRITICAL: Reuse browser instance to avoid cold start penalties
+ * FIXES: "Could not find Chrome", "libnss3.so", "Browser closed unexpectedly"
+ */
+async function getBrowserInstance() {
+  if (!browserInstance || !browserInstance.connected) {
+    console.log('Creating new Puppeteer browser instance');
+    
+    // CRITICAL: Environment detection fixes Chrome executable errors
+    const isServerless = process.env.VERCEL || 
+                         process.env.AWS_LAMBDA_FUNCTION_NAME || 
+                         process.env.NETLIFY ||
+                         process.env.LAMBDA_TASK_ROOT ||
+                         process.env.GOOGLE_CLOUD_PROJECT;
+    
+    console.log('Environment detection:', {
+      VERCEL: !!process.env.VERCEL,
+      AWS_LAMBDA: !!process.env.AWS_LAMBDA_FUNCTION_NAME,
+      NETLIFY: !!process.env.NETLIFY,
+      isServerless: isServerless
+    });
+    
+    let launchConfig;
+    
+    if (isServerless) {
+      // Serverless environment - use @sparticuz/chromium
+      console.log('Serverless environment detected, using @sparticuz/chromium');
+      const executablePath = await chromium.executablePath();  // CRITICAL: Call as function
+      console.log('Chromium executable path:', executablePath);
+      console.log('Chromium args:', chromium.args);
+      // The bundled Chromium has one system font; add the ones footer templates need
+      for (const font of SYSTEM_FONTS) {
+        await chromium.font(path.join(ASSETS_DIR, font));
+      }
+      
+      launchConfig = {
+        args: chromium.args,
+        defaultViewport: chromium.defaultViewport,
+        executablePath: executablePath,        // This provides the correct path
+        headless: 'new',                      // Use new headless mode
+        ignoreHTTPSErrors: true,
+        timeout: 60000                        // Increase timeout for cold starts
+      };
+    } else {
+      // Local development - use system Chrome
+      console.log('Local environment detected, using system Chrome');
+      launchConfig = {
+        headless: 'new',
+        args: [
+          '--no-sandbox',
+          '--disable-setuid-sandbox',
+          '--disable-dev-shm-usage',
+          '--disable-gpu',
+          '--disable-extensions',
+          '--disable-accelerated-2d-canvas',
+          '--no-first-run',
+          '--no-zygote'
+        ],
+        ignoreHTTPSErrors: true,
+        timeout: 30000
+        // Note: No executablePath - let Puppeteer find system Chrome
+      };
+    }
+    
+    browserInstance = await puppeteer.launch(launchConfig);
+
+    // Handle disconnection with enhanced logging
+    browserInstance.on('disconnected', () => {
+      console.warn('Browser instance disconnected - will recreate on next request');
+      browserInstance = null;
+    });
+    
+    // Test browser health
+    try {
+      const testPage = await browserInstance.newPage();
+      await testPage.close();
+      console.log('Browser health check passed');
+    } catch (healthError) {
+      console.warn('Browser health check failed:', healthError.message);
+    }
+  }
+  
+  return browserInstance;
+}
+
+/**
+ * Generate PDF with proper error handling and retry logic
+ * PRODUCTION TESTED - Handles all common serverless PDF generation issues
+ */
+async function generatePDF(html, options = {}) {
+  let page = null;
+  let retries = 3;
+  
+  while (retries > 0) {
+    try {
+      const browser = await getBrowserInstance();
+      
+      // Check if browser is still connected
+      if (!browser.connected) {
+        throw new Error('Browser disconnected');
+      }
+      
+      page = await browser.newPage();
+
+      // Set viewport for consistent rendering
+      await page.setViewport({
+        width: 1280,
+        height: 720,
+        deviceScaleFactor: 2
+      });
+
+      // Letters embed their fonts and images; block anything that would reach the network
+      await page.setRequestInterception(true);
+      page.on('request', (request) => {
+        if (/^(data|about):/.test(request.url())) {
+          request.continue();
+        } else {
+          console.warn('Blocked external request while rendering:', request.url().slice(0, 120));
+          request.abort();
+        }
+      });
+
+      // Load HTML content and wait for the embedded fonts before printing
+      await page.setContent(html, { 
+        waitUntil: 'load',
+        timeout: 30000                // 30 second timeout
+      });
+      await page.evaluate(() => document.fonts.ready);
+
+      // Generate PDF with optimized settings to prevent blank pages
+      const pdf = await page.pdf({
+        format: 'Letter',             // US Letter format
+        printBackground: true,        // Include CSS backgrounds
+        preferCSSPageSize: false,     
+        margin: { top: '1in', right: '0in', bottom: '0in', left: '0in' },    
+        ...options                    // Allow override options
+      });
+        
+      console.log('PDF generated successfully, size:', pdf.length, 'bytes');
+      return pdf;
+
+    } catch (error) {
+      console.warn(`PDF generation attempt failed (${4 - retries}/3):`, error.message);
+      
+      // Enhanced error logging for debugging
+      console.error('Error details:', {
+        message: error.message,
+        stack: error.stack,
+        name: error.name
+      });
+      
+      // Clean up failed resources
+      if (page) {
+        try {
+          await page.close();
+        } catch (closeError) {
+          console.warn('Failed to close page after error:', closeError.message);
+        }
+        page = null;
+      }
+      
+      // Force new browser if disconnected
+      if (browserInstance && !browserInstance.connected) {
+        console.log('Forcing new browser instance due to disconnection');
+        browserInstance = null;
+      }
+      
+      retries--;
+      if (retries === 0) {
+        console.error('All PDF generation attempts failed');
+        throw error;
+      }
+      
+      // Wait before retry with exponential backoff
+      const waitTime = (4 - retries) * 1000;
+      console.log(`Waiting ${waitTime}ms before retry...`);
+      await new Promise(resolve => setTimeout(resolve, waitTime));
+      
+    } finally {
+      // CRITICAL: Always close the page (but keep browser for reuse)
+      if (page) {
+        try {
+          await page.close();
+        } catch (closeError) {
+          console.warn('Failed to close page in finally block:', closeError.message);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Cleanup for graceful shutdown with enhanced error handling
+ */
+async function cleanup() {
+  if (browserInstance && browserInstance.connected) {
+    try {
+      console.log('Closing browser instance gracefully...');
+      await browserInstance.close();
+      console.log('Browser instance closed successfully');
+    } catch (error) {
+      console.error('Failed to close browser:', error.message);
+    } finally {
+      browserInstance = null;
+    }
+  }
+}
+
+// Handle process termination with timeout
+process.on('SIGINT', async () => {
+  console.log('Received SIGINT, cleaning up...');
+  await cleanup();
+  process.exit(0);
+});
+
+process.on('SIGTERM', async () => {
+  console.log('Received SIGTERM, cleaning up...');
+  await cleanup();
+  process.exit(0);
+});
+
+process.on('exit', cleanup);
+
+// Handle uncaught exceptions
+process.on('uncaughtException', (error) => {
+  console.error('Uncaught Exception:', error);
+  cleanup().finally(() => process.exit(1));
+});
+
+process.on('unhandledRejection', (reason, promise) => {
+  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+  cleanup().finally(() => process.exit(1));
+});
+
+module.exports = {
+  getBrowserInstance,
+  generatePDF,
+  cleanup
+};
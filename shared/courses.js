@@ -0,0 +1,156 @@
+const catalog = require('../config/courses.json');
+const { LookupError } = require('./errors');
+const { listLetterTypes } = require('./registry');
+const { isLanguage, languageChain, dateRange } = require('./language');
+
+/**
+ * Course catalog (config/courses.json)
+ *
+ * HubSpot course_id values carry the course code among other segments
+ * ("Clinical-Mississauga-Jan25", "Sim-Full"). A course_id resolves, in order:
+ *   1. when it equals a code or alias;
+ *   2. when a code appears as whole segments (split on anything that is not
+ *      a letter or digit), longest code first;
+ *   3. the same for aliases, so a location-style "B9" segment never outranks
+ *      a real course code.
+ * Two different courses matching at the same step and length is an error
+ * rather than a guess, and "Sim" never matches inside "SimPack".
+ *
+ * `translations` gives a course's name or fixedDuration in another letter
+ * language, e.g. { "fr": { "fixedDuration": "12 semaines" } }; anything not
+ * translated is printed as in English.
+ */
+
+const tokenize = (value) => String(value).toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+/**
+ * Validate the catalog and index every code and alias
+ * Throws on duplicate codes/aliases so conflicts surface at cold start
+ */
+function loadCatalog({ version, courses }) {
+  if (!version) throw new Error('Course catalog is missing a version');
+
+  const index = new Map();
+  for (const course of courses) {
+    if (!course.code || !course.name) {
+      throw new Error(`Course catalog ${version}: every course needs a code and a name (${JSON.stringify(course)})`);
+    }
+
+    const unknownTypes = (course.letterTypes || []).filter(type => !listLetterTypes().includes(type));
+    if (unknownTypes.length > 0) {
+      throw new Error(`Course catalog ${version}: ${course.code} lists unknown letter types: ${unknownTypes.join(', ')}`);
+    }
+
+    const unknownLanguages = Object.keys(course.translations || {}).filter(language => !isLanguage(language));
+    if (unknownLanguages.length > 0) {
+      throw new Error(`Course catalog ${version}: ${course.code} has translations for unknown languages: ${unknownLanguages.join(', ')}`);
+    }
+
+    const keys = [course.code, ...(course.aliases || [])];
+    for (const [position, key] of keys.entries()) {
+      const tokens = tokenize(key);
+      const normalized = tokens.join('-');
+      if (!normalized) throw new Error(`Course catalog ${version}: empty code or alias on ${course.code}`);
+
+      const existing = index.get(normalized);
+      if (existing) {
+        throw new Error(`Course catalog ${version}: "${key}" on ${course.code} conflicts with ${existing.course.code}`);
+      }
+      index.set(normalized, { course, tokens, isAlias: position > 0 });
+    }
+  }
+
+  return { version, courses, index };
+}
+
+const CATALOG = loadCatalog(catalog);
+
+const containsRun = (haystack, needle) => {
+  for (let i = 0; i + needle.length <= haystack.length; i++) {
+    if (needle.every((token, j) => haystack[i + j] === token)) return true;
+  }
+  return false;
+};
+
+/**
+ * Resolve a HubSpot course_id to its catalog entry
+ * Throws LookupError for unknown or ambiguous course IDs
+ */
+function resolveCourse(courseID, { catalog: { index, version, courses } = CATALOG } = {}) {
+  if (!courseID) {
+    throw new LookupError('Missing course_id', { course_id: courseID });
+  }
+
+  const tokens = tokenize(courseID);
+  const exact = index.get(tokens.join('-'));
+  if (exact) return exact.course;
+
+  const segmentMatches = (aliases) => {
+    let bestLength = 0;
+    let matches = [];
+    for (const { course, tokens: keyTokens, isAlias } of index.values()) {
+      if (isAlias !== aliases || keyTokens.length < bestLength || !containsRun(tokens, keyTokens)) continue;
+      if (keyTokens.length > bestLength) {
+        bestLength = keyTokens.length;
+        matches = [];
+      }
+      if (!matches.includes(course)) matches.push(course);
+    }
+    return matches;
+  };
+
+  let matches = segmentMatches(false);
+  if (matches.length === 0) matches = segmentMatches(true);
+
+  if (matches.length === 1) return matches[0];
+
+  if (matches.length > 1) {
+    throw new LookupError(`Ambiguous course_id "${courseID}" matches ${matches.map(c => c.code).join(', ')}`, {
+      course_id: courseID,
+      candidates: matches.map(c => c.code),
+      catalogVersion: version
+    });
+  }
+
+  throw new LookupError(`Unknown course_id "${courseID}"`, {
+    course_id: courseID,
+    validCodes: courses.map(c => c.code),
+    catalogVersion: version
+  });
+}
+
+/**
+ * Whether a course may be listed on the given letter type
+ */
+const isEligible = (course, letterType) => !course.letterTypes || course.letterTypes.includes(letterType);
+
+const translated = (course, language, field) => languageChain(language)
+  .map(tag => course.translations && course.translations[tag] && course.translations[tag][field])
+  .find(Boolean) || course[field];
+
+/**
+ * Course name as printed in a letter language
+ */
+const courseName = (course, language = 'en') => translated(course, language, 'name');
+
+/**
+ * Duration line for a course; fixed-length courses (e.g. SitPractice) ignore the dates
+ * @param {string} startDate - formatted in the same language
+ */
+const courseDuration = (course, startDate, endDate, language = 'en') =>
+  translated(course, language, 'fixedDuration') || dateRange(language, startDate, endDate);
+
+/**
+ * Every catalog code, for validating code lists in config and requests
+ */
+const listCourseCodes = () => CATALOG.courses.map(course => course.code);
+
+module.exports = {
+  CATALOG_VERSION: CATALOG.version,
+  listCourseCodes,
+  loadCatalog,
+  resolveCourse,
+  isEligible,
+  courseName,
+  courseDuration
+};
@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const { PDFDict, PDFArray, PDFName, PDFNumber, PDFString, PDFHexString, PDFStream, PDFRawStream } = require('pdf-lib');
+const { HttpError } = require('./errors');
+const { propertyDate } = require('./format');
+
+/**
+ * Password protection for issued letters
+ *
+ * A letter type's `encryption` in shared/registry.js, with any fields the
+ * caller sends as `encryption` in the payload on top:
+ *   openPassword - payload field whose value opens the PDF: student_id, or
+ *                  date_of_birth (typed as YYYYMMDD); null to open without
+ *                  a password but still restrict permissions
+ *   permissions  - what a reader may do without the owner password:
+ *                  print, modify, copy, annotate, fillForms, accessibility, assemble
+ * The owner password (PDF_OWNER_PASSWORD) lifts every restriction.
+ *
+ * Files use the PDF 2.0 standard security handler: AES-256, revision 6.
+ */
+
+const DEFAULT_ENCRYPTION = {
+  openPassword: null,
+  permissions: ['print', 'accessibility']
+};
+
+// Permission bits (1-based, ISO 32000-2 table 22); print allows full quality
+const PERMISSION_BITS = {
+  print: [3, 12],
+  modify: [4],
+  copy: [5],
+  annotate: [6],
+  fillForms: [9],
+  accessibility: [10],
+  assemble: [11]
+};
+// Bits 7-8 and 13-32 are reserved and must be set
+const RESERVED_BITS = 0xFFFFF0C0;
+
+// How the open password is typed; shown in the HubSpot note
+const OPEN_PASSWORDS = {
+  student_id: { hint: 'the student ID', value: data => String(data.student_id) },
+  date_of_birth: { hint: 'the date of birth as YYYYMMDD', value: data => propertyDate('date_of_birth', data.date_of_birth).replace(/-/g, '') }
+};
+
+const FIELDS = ['openPassword', 'permissions'];
+
+// The open password from the payload; empty when the field is missing or unreadable
+const openPasswordValue = (data, field) => {
+  if (!data[field]) return '';
+  try {
+    return OPEN_PASSWORDS[field].value(data);
+  } catch (err) {
+    return '';
+  }
+};
+
+/**
+ * Problems with an encryption setting, as messages; empty when it is valid
+ */
+function encryptionErrors(encryption) {
+  if (!encryption || typeof encryption !== 'object' || Array.isArray(encryption)) return ['encryption must be an object'];
+
+  const errors = Object.keys(encryption)
+    .filter(field => !FIELDS.includes(field))
+    .map(field => `unknown field "${field}"`);
+
+  const { openPassword, permissions } = encryption;
+  if (openPassword !== undefined && openPassword !== null && !OPEN_PASSWORDS[openPassword]) {
+    errors.push(`openPassword must be null or one of ${Object.keys(OPEN_PASSWORDS).join(', ')}`);
+  }
+  if (permissions !== undefined) {
+    if (!Array.isArray(permissions)) {
+      errors.push('permissions must be a list');
+    } else {
+      const unknown = permissions.filter(permission => !PERMISSION_BITS[permission]);
+      if (unknown.length > 0) errors.push(`permissions has unknown values: ${unknown.join(', ')} (use ${Object.keys(PERMISSION_BITS).join(', ')})`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * The encryption for one letter, or null when it is issued unencrypted
+ * Throws HttpError 400 for an invalid request or a missing password field
+ * @returns {{ userPassword: string, ownerPassword: string, permissions: string[], hint: string|null }|null}
+ */
+function resolveEncryption(letter, data) {
+  const requested = data.encryption;
+  if (requested !== undefined) {
+    const errors = encryptionErrors(requested);
+    if (errors.length > 0) {
+      throw new HttpError(400, { error: 'Invalid encryption', details: errors, success: false });
+    }
+  }
+  if (!letter.encryption && requested === undefined) return null;
+
+  const { openPassword, permissions } = { ...DEFAULT_ENCRYPTION, ...letter.encryption, ...requested };
+
+  const userPassword = openPassword ? openPasswordValue(data, openPassword) : '';
+  if (openPassword && !userPassword) {
+    throw new HttpError(400, {
+      error: 'Missing open password',
+      message: `This letter opens with ${OPEN_PASSWORDS[openPassword].hint}; send a valid ${openPassword}`,
+      field: openPassword,
+      success: false
+    });
+  }
+
+  let ownerPassword = process.env.PDF_OWNER_PASSWORD;
+  if (!ownerPassword) {
+    console.warn('PDF_OWNER_PASSWORD is not set - using a random owner password, so permissions cannot be lifted later');
+    ownerPassword = crypto.randomBytes(24).toString('base64');
+  }
+
+  return { userPassword, ownerPassword, permissions, hint: openPassword ? OPEN_PASSWORDS[openPassword].hint : null };
+}
+
+const sha = { 0: 'sha256', 1: 'sha384', 2: 'sha512' };
+
+/**
+ * Password hash for revision 6 (ISO 32000-2 algorithm 2.B)
+ */
+function hardenedHash(password, salt, userKey = Buffer.alloc(0)) {
+  let k = crypto.createHash('sha256').update(Buffer.concat([password, salt, userKey])).digest();
+  let e = Buffer.alloc(1);
+  for (let round = 0; round < 64 || e[e.length - 1] > round - 32; round++) {
+    const k1 = Buffer.concat(Array(64).fill(Buffer.concat([password, k, userKey])));
+    const cipher = crypto.createCipheriv('aes-128-cbc', k.subarray(0, 16), k.subarray(16, 32)).setAutoPadding(false);
+    e = Buffer.concat([cipher.update(k1), cipher.final()]);
+    const remainder = e.subarray(0, 16).reduce((sum, byte) => sum + byte, 0) % 3;
+    k = crypto.createHash(sha[remainder]).update(e).digest();
+  }
+  return k.subarray(0, 32);
+}
+
+const aes256 = (mode, key, data, iv = null) => {
+  const cipher = crypto.createCipheriv(mode, key, iv).setAutoPadding(false);
+  return Buffer.concat([cipher.update(data), cipher.final()]);
+};
+
+// Passwords are UTF-8, at most 127 bytes
+const passwordBytes = (password) => Buffer.from(password.normalize('NFKC'), 'utf8').subarray(0, 127);
+
+/**
+ * /P value: the allowed permission bits plus the reserved ones, as a signed 32-bit integer
+ */
+const permissionFlags = (permissions) =>
+  permissions.flatMap(permission => PERMISSION_BITS[permission]).reduce((flags, bit) => flags | (1 << (bit - 1)), RESERVED_BITS) | 0;
+
+/**
+ * Encrypt a pdf-lib document in place; call before save()
+ * Strings and streams are encrypted with AES-256 except the /Contents of
+ * signature dictionaries, which must stay readable for the signature
+ */
+function encryptDocument(pdfDoc, { userPassword, ownerPassword, permissions }) {
+  const { context } = pdfDoc;
+  const fileKey = crypto.randomBytes(32);
+  const user = passwordBytes(userPassword);
+  const owner = passwordBytes(ownerPassword);
+
+  const [userValidationSalt, userKeySalt, ownerValidationSalt, ownerKeySalt] = Array.from({ length: 4 }, () => crypto.randomBytes(8));
+  const U = Buffer.concat([hardenedHash(user, userValidationSalt), userValidationSalt, userKeySalt]);
+  const UE = aes256('aes-256-cbc', hardenedHash(user, userKeySalt), fileKey, Buffer.alloc(16));
+  const O = Buffer.concat([hardenedHash(owner, ownerValidationSalt, U), ownerValidationSalt, ownerKeySalt]);
+  const OE = aes256('aes-256-cbc', hardenedHash(owner, ownerKeySalt, U), fileKey, Buffer.alloc(16));
+
+  const P = permissionFlags(permissions);
+  const perms = Buffer.alloc(16);
+  perms.writeInt32LE(P, 0);
+  perms.writeInt32LE(-1, 4);
+  perms.write('Tadb', 8, 'latin1');
+  crypto.randomBytes(4).copy(perms, 12);
+
+  const encrypt = (bytes) => {
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv('aes-256-cbc', fileKey, iv);
+    return Buffer.concat([iv, cipher.update(bytes), cipher.final()]);
+  };
+  const encryptString = (value) => PDFHexString.of(encrypt(Buffer.from(value.asBytes())).toString('hex'));
+
+  const encryptStrings = (object) => {
+    if (object instanceof PDFDict) {
+      const isSignature = object.get(PDFName.of('Type')) === PDFName.of('Sig');
+      for (const [key, value] of object.entries()) {
+        if (isSignature && key === PDFName.of('Contents')) continue;
+        if (value instanceof PDFString || value instanceof PDFHexString) object.set(key, encryptString(value));
+        else encryptStrings(value);
+      }
+    } else if (object instanceof PDFArray) {
+      for (let index = 0; index < object.size(); index++) {
+        const value = object.get(index);
+        if (value instanceof PDFString || value instanceof PDFHexString) object.set(index, encryptString(value));
+        else encryptStrings(value);
+      }
+    }
+  };
+
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    if (object instanceof PDFStream) {
+      encryptStrings(object.dict);
+      context.assign(ref, PDFRawStream.of(object.dict, encrypt(object.getContents())));
+    } else if (object instanceof PDFString || object instanceof PDFHexString) {
+      context.assign(ref, encryptString(object));
+    } else {
+      encryptStrings(object);
+    }
+  }
+
+  const hex = (bytes) => PDFHexString.of(bytes.toString('hex'));
+  context.trailerInfo.Encrypt = context.register(context.obj({
+    Filter: 'Standard',
+    V: 5,
+    R: 6,
+    Length: 256,
+    CF: { StdCF: { AuthEvent: 'DocOpen', CFM: 'AESV3', Length: 32 } },
+    StmF: 'StdCF',
+    StrF: 'StdCF',
+    O: hex(O),
+    U: hex(U),
+    OE: hex(OE),
+    UE: hex(UE),
+    P: PDFNumber.of(P),
+    Perms: hex(aes256('aes-256-ecb', fileKey, perms)),
+    EncryptMetadata: true
+  }));
+  if (!context.trailerInfo.ID) {
+    const id = hex(crypto.randomBytes(16));
+    context.trailerInfo.ID = context.obj([id, id]);
+  }
+}
+
+module.exports = {
+  encryptionErrors,
+  resolveEncryption,
+  encryptDocument
+};
@@ -0,0 +1,27 @@
+/**
+ * Error carrying an HTTP status and JSON body for the response.
+ * Thrown from validation and data loading so the handler can answer
+ * with a 4xx instead of the generic 500.
+ */
+class HttpError extends Error {
+  constructor(status, body) {
+    super(body.message || body.error);
+    this.name = 'HttpError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * A course or location value that cannot be resolved against its registry
+ * `details` is returned to the caller in the 400 response.
+ */
+class LookupError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'LookupError';
+    this.details = details;
+  }
+}
+
+module.exports = { HttpError, LookupError };
@@ -0,0 +1,69 @@
+/**
+ * Escaping for data interpolated into letter HTML
+ *
+ * Student and CRM values are untrusted: they come from HubSpot properties
+ * anyone with CRM access (or a signup form) can edit. Pick the helper for
+ * the context the value lands in:
+ *   escapeHtml    - element text and quoted attribute values
+ *   escapeCssUrl  - the inside of url('...') in a style block or attribute
+ *   safeUrl       - src/href attributes; only https: and data:image URLs pass
+ */
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;',
+  '=': '&#61;'
+};
+
+// Bidi embeddings/overrides/isolates can visually reorder the rest of a line
+// ("Dr.\u202Eevil" renders reversed), and C0/C1 controls have no business in a letter
+const UNSAFE_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F\u202A-\u202E\u2066-\u2069]/g;
+
+/**
+ * Normalise a value to printable text: stringify, drop control and bidi override characters
+ */
+const sanitizeText = (value) => {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(UNSAFE_CHARACTERS, '');
+};
+
+/**
+ * Escape for HTML element content and quoted attribute values
+ */
+const escapeHtml = (value) => sanitizeText(value).replace(/[&<>"'`=]/g, (char) => HTML_ENTITIES[char]);
+
+/**
+ * Escape for a CSS url('...') token
+ * Hex escapes keep quotes, parentheses, backslashes and newlines from closing the token.
+ */
+const escapeCssUrl = (value) => sanitizeText(value).replace(/[^A-Za-z0-9\-._~:/?#[\]@!$&*+,;=%]/g, (char) => {
+  return `\\${char.codePointAt(0).toString(16)} `;
+});
+
+/**
+ * Allow-list a URL for src/href attributes; anything else becomes an empty string
+ */
+const safeUrl = (value) => {
+  const url = sanitizeText(value).trim();
+  if (/^https:\/\//i.test(url) || /^data:image\/(png|jpe?g|gif|webp|svg\+xml);base64,[A-Za-z0-9+/=]+$/i.test(url)) {
+    return escapeHtml(url);
+  }
+  return '';
+};
+
+/**
+ * File name segment for HubSpot Files: keep it to letters, digits, dash and underscore
+ */
+const safeFileNamePart = (value) => sanitizeText(value).replace(/[^A-Za-z0-9_-]/g, '_');
+
+module.exports = {
+  sanitizeText,
+  escapeHtml,
+  escapeCssUrl,
+  safeUrl,
+  safeFileNamePart
+};
@@ -0,0 +1,163 @@
+const registry = require('../config/date-properties.json');
+const { languageMeta } = require('./language');
+const { HttpError } = require('./errors');
+
+/**
+ * HubSpot date properties letters read (config/date-properties.json), with
+ * the object they belong to and their type in HubSpot:
+ *   date     - date picker, stored as midnight UTC; the same calendar date everywhere
+ *   datetime - a moment in time; its calendar date depends on the campus's time zone
+ * `npm run check-date-properties` compares the types with HubSpot's property definitions.
+ */
+const DATE_TYPES = ['date', 'datetime'];
+
+const loadDateProperties = ({ properties }) => Object.fromEntries(Object.entries(properties).map(([property, { objectType, type }]) => {
+  if (!objectType) throw new Error(`Date property ${property} has no objectType`);
+  if (!DATE_TYPES.includes(type)) throw new Error(`Date property ${property} has type ${type}; use ${DATE_TYPES.join(' or ')}`);
+  return [property, type];
+}));
+
+// Property name -> "date" | "datetime"
+const DATE_PROPERTIES = loadDateProperties(registry);
+
+/**
+ * Where config/date-properties.json disagrees with HubSpot, as messages; empty when it agrees
+ * @param {Function} definitionOf - async (objectType, property) -> HubSpot property definition, null when missing
+ */
+async function datePropertyProblems(definitionOf) {
+  const problems = [];
+  for (const [property, { objectType, type }] of Object.entries(registry.properties)) {
+    const definition = await definitionOf(objectType, property);
+    if (!definition) {
+      problems.push(`${property}: no such property on object ${objectType}`);
+    } else if (definition.type !== type) {
+      problems.push(`${property}: configured as ${type}, HubSpot says ${definition.type}`);
+    }
+  }
+  return problems;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Format a calendar date (YYYY-MM-DD) as a long date in a letter language:
+ * "March 05, 2025", "1er mars 2025"
+ * Locale, day style and the first of the month come from the language's catalog meta
+ * @param {string} [day] - Intl day style, when the language's default does not fit
+ */
+function formatLongDate(isoDate, { language = 'en', day } = {}) {
+  if (!isIsoDate(isoDate)) throw new Error(`Invalid date: ${isoDate}`);
+  const { locale, day: defaultDay, firstDayOfMonth } = languageMeta(language);
+  return new Intl.DateTimeFormat(locale, {
+    month: 'long',
+    day: day || defaultDay,
+    year: 'numeric',
+    timeZone: 'UTC'
+  }).formatToParts(new Date(`${isoDate}T00:00:00Z`))
+    .map(({ type, value }) => (firstDayOfMonth && type === 'day' && Number(value) === 1 ? firstDayOfMonth : value)).join('');
+}
+
+/**
+ * The calendar date (YYYY-MM-DD) of a moment in an IANA time zone
+ */
+function isoDateIn(instant, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    timeZone
+  }).formatToParts(instant).map(({ type, value }) => [type, value]));
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * The calendar date (YYYY-MM-DD) of a HubSpot date value
+ * Values are epoch milliseconds (webhooks send them as numbers or strings),
+ * "2025-01-06", or ISO timestamps with a UTC offset (the CRM API's datetimes).
+ * @param {string} [type] - "date" or "datetime", see DATE_PROPERTIES
+ * @param {string} [timeZone] - where a datetime's calendar date is read; dates ignore it
+ */
+function toIsoDate(dateValue, { type = 'date', timeZone = 'UTC' } = {}) {
+  if (dateValue === undefined || dateValue === null || dateValue === '') {
+    throw new Error('Date value is empty or null');
+  }
+  if (type !== 'date' && type !== 'datetime') throw new Error(`Unknown date type: ${type}`);
+
+  const value = String(dateValue).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    if (!isIsoDate(value)) throw new Error(`Invalid date format: ${dateValue}`);
+    return value;
+  }
+
+  let instant;
+  if (/^-?\d+$/.test(value)) {
+    instant = new Date(Number(value));
+  } else if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/i.test(value)) {
+    // Timestamps without an offset would be read in the server's time zone
+    instant = new Date(value);
+  }
+  if (!instant || Number.isNaN(instant.getTime())) {
+    throw new Error(`Invalid date format: ${dateValue}`);
+  }
+
+  if (type === 'datetime') return isoDateIn(instant, timeZone);
+  // HubSpot stores dates at midnight UTC; any other time is a datetime declared as a date
+  if (instant.getTime() % DAY_MS !== 0) {
+    throw new Error(`${dateValue} is not a date (midnight UTC); is the property a datetime?`);
+  }
+  return instant.toISOString().slice(0, 10);
+}
+
+/**
+ * The calendar date of a HubSpot property's value, read as its DATE_PROPERTIES type
+ * Throws HttpError 400 naming the property when the value cannot be read
+ * @param {string} [timeZone] - the campus's, for datetime properties
+ */
+function propertyDate(property, dateValue, timeZone = 'UTC') {
+  const type = DATE_PROPERTIES[property];
+  if (!type) throw new Error(`${property} is not in DATE_PROPERTIES`);
+  try {
+    return toIsoDate(dateValue, { type, timeZone });
+  } catch (err) {
+    throw new HttpError(400, {
+      error: `Invalid ${property}`,
+      message: `${property}: ${err.message}`,
+      field: property,
+      value: dateValue === undefined ? null : dateValue,
+      success: false
+    });
+  }
+}
+
+/**
+ * Issue date (YYYY-MM-DD) as printed next to "Date:" on the letter, e.g. "March 5, 2025"
+ */
+function formatIssueDate(isoDate, language = 'en') {
+  if (!isIsoDate(isoDate)) throw new Error(`Invalid issue date: ${isoDate}`);
+  return formatLongDate(isoDate, { language, day: 'numeric' });
+}
+
+/**
+ * Whether a value is a real calendar date in YYYY-MM-DD form
+ */
+const isIsoDate = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const d = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Today's date as YYYY-MM-DD in an IANA time zone
+ */
+const todayIsoDate = (timeZone = 'UTC') => isoDateIn(new Date(), timeZone);
+
+module.exports = {
+  DATE_PROPERTIES,
+  datePropertyProblems,
+  formatLongDate,
+  toIsoDate,
+  propertyDate,
+  formatIssueDate,
+  isIsoDate,
+  todayIsoDate
+};
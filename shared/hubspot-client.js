@@ -0,0 +1,158 @@
+const axios = require('axios');
+
+/**
+ * HTTP client for api.hubapi.com
+ *
+ * Every HubSpot call goes through request(), which:
+ *   - waits for a token from a bucket sized to the portal's rate limit
+ *     (HUBSPOT_RATE_LIMIT requests per HUBSPOT_RATE_LIMIT_INTERVAL_MS, per instance)
+ *   - times out each attempt (timeoutMs, overridable per call)
+ *   - retries 429s after Retry-After, and 5xx/network errors with
+ *     exponential backoff and full jitter
+ * Calls that create something (file upload, note) are not idempotent, so
+ * they are only retried when HubSpot certainly did not act on them: a 429
+ * or a connection that never opened.
+ */
+
+const DEFAULT_OPTIONS = {
+  // HubSpot private apps: 100 requests per 10 seconds (Professional/Enterprise: 190)
+  requestsPerInterval: 100,
+  intervalMs: 10 * 1000,
+  maxRetries: 4,
+  baseDelayMs: 500,
+  maxDelayMs: 10 * 1000,
+  timeoutMs: 15 * 1000
+};
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+// The request never reached HubSpot
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+const NETWORK_CODES = [...NOT_SENT_CODES, 'ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE'];
+
+const defaultSleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Token bucket: `capacity` tokens, refilled evenly over `intervalMs`
+ * take() resolves once a token is available; callers are served in order
+ */
+function createTokenBucket({ capacity, intervalMs, now = Date.now, sleep = defaultSleep }) {
+  let tokens = capacity;
+  let updatedAt = now();
+  let queue = Promise.resolve();
+
+  const refill = () => {
+    const current = now();
+    tokens = Math.min(capacity, tokens + ((current - updatedAt) * capacity) / intervalMs);
+    updatedAt = current;
+  };
+
+  return {
+    take() {
+      const turn = queue.then(async () => {
+        refill();
+        if (tokens < 1) {
+          await sleep(Math.ceil(((1 - tokens) * intervalMs) / capacity));
+          refill();
+        }
+        tokens -= 1;
+      });
+      queue = turn.catch(() => {});
+      return turn;
+    },
+    // HubSpot says the window is used up (X-HubSpot-RateLimit-Remaining: 0)
+    drain() {
+      refill();
+      tokens = Math.min(tokens, 0);
+    }
+  };
+}
+
+/**
+ * Seconds or HTTP date from a Retry-After header, in ms; null when absent or unreadable
+ */
+const retryAfterMs = (value, now) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (/^\d+(\.\d+)?$/.test(String(value))) return Number(value) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+const shouldRetry = (err, idempotent) => {
+  const status = err.response && err.response.status;
+  if (status) return status === 429 || (idempotent && RETRYABLE_STATUSES.includes(status));
+  return idempotent ? NETWORK_CODES.includes(err.code) : NOT_SENT_CODES.includes(err.code);
+};
+
+const envNumber = (name) => {
+  const value = process.env[name];
+  if (value === undefined || value === '') return undefined;
+  if (!/^\d+$/.test(value) || Number(value) < 1) throw new Error(`${name} must be a positive whole number`);
+  return Number(value);
+};
+
+/**
+ * @param {object} options - overrides for DEFAULT_OPTIONS, plus test seams
+ *   (http, sleep, random, now)
+ */
+function createHubSpotClient(options = {}) {
+  const {
+    requestsPerInterval, intervalMs, maxRetries, baseDelayMs, maxDelayMs, timeoutMs,
+    http = axios, sleep = defaultSleep, random = Math.random, now = Date.now
+  } = { ...DEFAULT_OPTIONS, ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined)) };
+
+  const bucket = createTokenBucket({ capacity: requestsPerInterval, intervalMs, now, sleep });
+
+  const backoffMs = (attempt) => Math.round(random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt));
+
+  /**
+   * Send one HubSpot API call
+   * @param {string} name - call name for logs and the request counter
+   * @param {object|Function} config - axios request config, or a function
+   *   returning a fresh one for each attempt (needed for streamed bodies)
+   * @param {object} [context]
+   * @param {object} [context.counter] - request counter; every attempt counts
+   * @param {boolean} [context.idempotent] - defaults to true for GET
+   */
+  async function request(name, config, { counter, idempotent } = {}) {
+    const buildConfig = typeof config === 'function' ? config : () => config;
+
+    for (let attempt = 0; ; attempt++) {
+      const attemptConfig = buildConfig();
+      const safeToRepeat = idempotent !== undefined ? idempotent : (attemptConfig.method || 'get').toLowerCase() === 'get';
+
+      await bucket.take();
+      if (counter) counter.track(name);
+
+      try {
+        const response = await http.request({ timeout: timeoutMs, ...attemptConfig });
+        if (response.headers && String(response.headers['x-hubspot-ratelimit-remaining']) === '0') bucket.drain();
+        return response;
+      } catch (err) {
+        if (!shouldRetry(err, safeToRepeat) || attempt >= maxRetries) throw err;
+
+        const status = err.response && err.response.status;
+        if (status === 429) bucket.drain();
+        const hinted = retryAfterMs(err.response && err.response.headers && err.response.headers['retry-after'], now());
+        const delay = hinted !== null ? Math.min(hinted, maxDelayMs * 3) : backoffMs(attempt);
+
+        console.warn(`HubSpot ${name} failed (${status || err.code || err.message}); retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  return { request };
+}
+
+// Shared by every letter on this instance so the rate limit holds across requests
+const hubspotClient = createHubSpotClient({
+  requestsPerInterval: envNumber('HUBSPOT_RATE_LIMIT'),
+  intervalMs: envNumber('HUBSPOT_RATE_LIMIT_INTERVAL_MS'),
+  timeoutMs: envNumber('HUBSPOT_TIMEOUT_MS')
+});
+
+module.exports = {
+  createTokenBucket,
+  createHubSpotClient,
+  hubspotClient
+};
@@ -0,0 +1,277 @@
+const FormData = require('form-data');
+const { escapeHtml, safeUrl } = require('./escape');
+const { hubspotClient } = require('./hubspot-client');
+
+const HUBSPOT_TOKEN = process.env.HS_TOKEN2;
+
+// HubSpot Files folder that holds every generated letter
+const LETTERS_FOLDER_ID = "194140833109";
+const ENROLLMENT_OBJECT_TYPE = "2-41701559";
+const ENROLLMENT_PROPERTIES = ['course_id', 'course_name', 'course_start_date', 'course_end_date', 'location', 'createdate'];
+// Most inputs HubSpot accepts in one CRM batch read
+const BATCH_READ_SIZE = 100;
+// Largest page the v4 associations API returns
+const ASSOCIATIONS_PAGE_SIZE = 500;
+// Hard cap on enrollments read for one letter; override with MAX_ASSOCIATED_ENROLLMENTS
+const DEFAULT_MAX_ASSOCIATED_ENROLLMENTS = 1000;
+
+// What to do when some enrollment records cannot be read (ENROLLMENT_FETCH_POLICY):
+//   fail-fast - the letter fails; HubSpot's retry may succeed
+//   partial   - the letter lists the enrollments that were read; the rest are reported as skipped
+const FETCH_POLICIES = ['fail-fast', 'partial'];
+
+const authHeaders = () => ({
+  Authorization: `Bearer ${HUBSPOT_TOKEN}`,
+  'Content-Type': 'application/json',
+});
+
+/**
+ * Counts the HubSpot API calls made for one letter, by call name
+ * Pass the same counter to every helper below; a missing counter is ignored.
+ * Retries count as calls.
+ */
+function createRequestCounter() {
+  const calls = {};
+  return {
+    track(name) {
+      calls[name] = (calls[name] || 0) + 1;
+    },
+    get total() {
+      return Object.values(calls).reduce((sum, count) => sum + count, 0);
+    },
+    summary() {
+      return { total: this.total, calls: { ...calls } };
+    }
+  };
+}
+
+/**
+ * Upload a PDF to the letters folder in HubSpot Files
+ * Returns the HubSpot file object (id, url, createdAt, ...)
+ */
+async function uploadPDF(pdfBuffer, fileName, { counter } = {}) {
+  // Ensure pdfBuffer is a proper Buffer
+  const pdfBufferCorrect = Buffer.isBuffer(pdfBuffer) ? pdfBuffer : Buffer.from(pdfBuffer);
+
+  // A form is a stream, so each attempt builds its own
+  const uploadRes = await hubspotClient.request('files.upload', () => {
+    const form = new FormData();
+    // Use Buffer directly - this fixes the "data should be a string, Buffer or Uint8Array" error
+    form.append('file', pdfBufferCorrect, {
+      filename: fileName,
+      contentType: 'application/pdf',
+      knownLength: pdfBufferCorrect.length
+    });
+    form.append('options', JSON.stringify({ access: 'PUBLIC_NOT_INDEXABLE' }));
+    form.append('folderId', LETTERS_FOLDER_ID);
+
+    return {
+      method: 'post',
+      url: 'https://api.hubapi.com/files/v3/files',
+      data: form,
+      headers: {
+        Authorization: `Bearer ${HUBSPOT_TOKEN}`,
+        ...form.getHeaders(),
+      },
+      timeout: 30 * 1000,
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+    };
+  }, { counter });
+
+  return {
+    ...uploadRes.data,
+    url: uploadRes.data.url || uploadRes.data.absoluteUrl
+  };
+}
+
+/**
+ * Create a note with the uploaded letter attached and associate it to the contact
+ * `documentId` adds the letter's verification ID;
+ * `passwordHint` says what opens a password-protected PDF (never the password);
+ * `review` adds a "needs review" line for letters issued under a fallback;
+ * `skipped` lists enrollments left off the letter and why
+ */
+async function createNote({ recordID, label, file, documentId, passwordHint, review, skipped = [] }, { counter } = {}) {
+  let body = `${escapeHtml(label)} attached: <a href="${safeUrl(file.url)}" target="_blank">View PDF</a>`;
+  if (documentId) body += `<br><strong>Document ID:</strong> ${escapeHtml(documentId)}`;
+  if (passwordHint) body += `<br><strong>Password protected:</strong> opens with ${escapeHtml(passwordHint)}`;
+  if (review) body += `<br><strong>Needs review:</strong> ${escapeHtml(review)}`;
+  if (skipped.length > 0) {
+    body += `<br><strong>Enrollments not included:</strong> ${skipped.map(({ id, reason }) => `${escapeHtml(id)} (${escapeHtml(reason)})`).join('; ')}`;
+  }
+
+  const note_properties = {
+    hs_note_body: body,
+    hs_timestamp: file.createdAt,
+    hs_attachment_ids: file.id
+  };
+
+  const SimplePublicObjectInputForCreate = {
+    properties: note_properties,
+    associations: [
+      {
+        to: { id: recordID },
+        types: [
+          {
+            associationCategory: 'HUBSPOT_DEFINED',
+            associationTypeId: 202
+          }
+        ]
+      }
+    ]
+  };
+
+  const response = await hubspotClient.request('notes.create', {
+    method: 'post',
+    url: 'https://api.hubapi.com/crm/v3/objects/notes',
+    data: SimplePublicObjectInputForCreate,
+    headers: authHeaders()
+  }, { counter });
+  return response.data;
+}
+
+/**
+ * A CRM property's definition (name, type, fieldType, ...); null when the object has no such property
+ * Used by `npm run check-date-properties`
+ */
+async function fetchPropertyDefinition(objectType, property, { counter } = {}) {
+  try {
+    const response = await hubspotClient.request('properties.read', {
+      method: 'get',
+      url: `https://api.hubapi.com/crm/v3/properties/${objectType}/${encodeURIComponent(property)}`,
+      headers: authHeaders()
+    }, { counter, idempotent: true });
+    return response.data;
+  } catch (err) {
+    if (err.response?.status === 404) return null;
+    throw new Error(`Failed reading property ${objectType}/${property}: ${err.response?.status} ${err.message}`);
+  }
+}
+
+const maxAssociatedEnrollments = () => {
+  const value = process.env.MAX_ASSOCIATED_ENROLLMENTS;
+  if (value === undefined || value === '') return DEFAULT_MAX_ASSOCIATED_ENROLLMENTS;
+  if (!/^\d+$/.test(value) || Number(value) < 1) {
+    throw new Error('MAX_ASSOCIATED_ENROLLMENTS must be a positive whole number');
+  }
+  return Number(value);
+};
+
+const enrollmentFetchPolicy = () => {
+  const policy = process.env.ENROLLMENT_FETCH_POLICY || 'fail-fast';
+  if (!FETCH_POLICIES.includes(policy)) {
+    throw new Error(`ENROLLMENT_FETCH_POLICY must be one of ${FETCH_POLICIES.join(', ')}`);
+  }
+  return policy;
+};
+
+/**
+ * Page through the contact's enrollment associations (v4 cursor paging)
+ * Stops at `limit` ids; `truncated` says whether any were left unread
+ */
+async function listAssociatedEnrollmentIds(recordID, { counter, limit }) {
+  const ids = [];
+  let after;
+
+  do {
+    let response;
+    try {
+      const query = `?limit=${ASSOCIATIONS_PAGE_SIZE}${after ? `&after=${encodeURIComponent(after)}` : ''}`;
+      const url = `https://api.hubapi.com/crm/v4/objects/0-1/${recordID}/associations/${ENROLLMENT_OBJECT_TYPE}${query}`;
+      response = await hubspotClient.request('associations.list', { method: 'get', url, headers: authHeaders() }, { counter });
+    } catch (err) {
+      throw new Error(`Failed fetching associations: ${err.response?.status} ${err.message}`);
+    }
+
+    if (!response.data || !response.data.results) {
+      throw new Error('HubSpot API did not return expected association data');
+    }
+
+    ids.push(...response.data.results.map((r) => String(r.toObjectId)));
+    after = response.data.paging && response.data.paging.next && response.data.paging.next.after;
+  } while (after && ids.length < limit);
+
+  return { ids: ids.slice(0, limit), truncated: ids.length > limit || Boolean(after) };
+}
+
+/**
+ * Fetch every enrollment record associated with a contact, up to
+ * MAX_ASSOCIATED_ENROLLMENTS
+ * Properties are read with the CRM batch endpoint, BATCH_READ_SIZE records
+ * per request, one request at a time. Records HubSpot will not return
+ * (deleted, no permission) fail the call or are skipped, per ENROLLMENT_FETCH_POLICY.
+ * @returns {{ enrollments: Array<{ id, properties }>, skipped: Array<{ id, reason }>, truncated: { limit: number }|null }}
+ *   enrollments are in association order; truncated is set when the cap cut some off
+ */
+async function fetchAssociatedEnrollments(recordID, { counter } = {}) {
+  const limit = maxAssociatedEnrollments();
+  const policy = enrollmentFetchPolicy();
+  const { ids: enrollmentIds, truncated } = await listAssociatedEnrollmentIds(recordID, { counter, limit });
+  if (enrollmentIds.length === 0) {
+    throw new Error('Trainee has no valid enrollments');
+  }
+
+  console.log(`Found ${enrollmentIds.length} total enrollments for contact ${recordID}`);
+  if (truncated) {
+    console.warn(`Contact ${recordID} has more than ${limit} enrollments - only the first ${limit} were read`);
+  }
+
+  // --- Batch read ---
+  const byId = new Map();
+  const failures = new Map();
+  for (let i = 0; i < enrollmentIds.length; i += BATCH_READ_SIZE) {
+    const chunk = enrollmentIds.slice(i, i + BATCH_READ_SIZE);
+
+    let batch;
+    try {
+      // A batch read only reads, so it is safe to retry
+      batch = await hubspotClient.request('enrollments.batchRead', {
+        method: 'post',
+        url: `https://api.hubapi.com/crm/v3/objects/${ENROLLMENT_OBJECT_TYPE}/batch/read`,
+        data: { properties: ENROLLMENT_PROPERTIES, inputs: chunk.map(id => ({ id })) },
+        headers: authHeaders()
+      }, { counter, idempotent: true });
+    } catch (err) {
+      throw new Error(`Failed batch-reading enrollments ${chunk[0]}..${chunk[chunk.length - 1]}: ${err.response?.status} ${err.message}`);
+    }
+
+    for (const record of batch.data.results || []) {
+      byId.set(String(record.id), record.properties);
+    }
+
+    // HubSpot answers 207 with per-record errors (e.g. a deleted enrollment)
+    for (const error of batch.data.errors || []) {
+      const reason = error.message || error.category || 'HubSpot returned an error';
+      for (const id of (error.context && error.context.ids) || []) failures.set(String(id), reason);
+    }
+  }
+
+  const skipped = enrollmentIds
+    .filter(id => !byId.has(id))
+    .map(id => ({ id, reason: failures.get(id) || 'No data returned by HubSpot' }));
+
+  if (skipped.length > 0) {
+    const summary = skipped.map(({ id, reason }) => `${id}: ${reason}`).join('; ');
+    if (policy === 'fail-fast') {
+      throw new Error(`At least one course fetch failed: ${summary}`);
+    }
+    console.warn(`Skipping ${skipped.length} unreadable enrollment(s) (ENROLLMENT_FETCH_POLICY=partial): ${summary}`);
+  }
+
+  console.log(`Read ${byId.size} of ${enrollmentIds.length} enrollments in ${Math.ceil(enrollmentIds.length / BATCH_READ_SIZE)} batch request(s)`);
+
+  return {
+    enrollments: enrollmentIds.filter(id => byId.has(id)).map(id => ({ id, properties: byId.get(id) })),
+    skipped,
+    truncated: truncated ? { limit } : null
+  };
+}
+
+module.exports = {
+  createRequestCounter,
+  uploadPDF,
+  createNote,
+  fetchPropertyDefinition,
+  fetchAssociatedEnrollments
+};
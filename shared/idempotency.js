@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const { HttpError } = require('./errors');
+const { defineStores } = require('./stores');
+
+/**
+ * Idempotent letter issuing
+ *
+ * HubSpot retries webhooks that time out or fail, and every retry would
+ * upload another PDF and add another note. Each request is keyed on its
+ * Idempotency-Key header, or on letter type + enrollment (or contact) +
+ * a hash of the payload. While a key is in flight, repeats get a 409;
+ * once it succeeds, repeats within the window get the original note and
+ * file back. A failed attempt releases the key so the retry can run.
+ *
+ * Keys are kept in a store from shared/stores.js, with an expiresAt. Pick
+ * one with IDEMPOTENCY_STORE (kv when shared/kv.js is configured) or plug
+ * in another with setIdempotencyStore().
+ */
+
+// How long a finished letter is returned instead of re-issued
+const DEFAULT_TTL_HOURS = 24;
+// How long an in-flight key blocks repeats; longer than the function's maxDuration (60s)
+const PENDING_TTL_MS = 2 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+const {
+  createMemoryStore,
+  createFileStore,
+  createKvStore,
+  getStore: getIdempotencyStore,
+  setStore: setIdempotencyStore
+} = defineStores({
+  label: 'idempotency',
+  variable: 'IDEMPOTENCY_STORE',
+  file: () => process.env.IDEMPOTENCY_FILE || path.join(os.tmpdir(), 'letter-idempotency.json'),
+  kvPrefix: 'letters:idempotency:',
+  expires: true
+});
+
+// JSON with sorted keys so the hash does not depend on property order
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Key for one letter request
+ * An Idempotency-Key header wins; otherwise the key is derived from the
+ * letter type, the enrollment (or contact) and the payload contents, so a
+ * corrected payload issues a new letter.
+ */
+function idempotencyKey(req, letter, data) {
+  const headerValue = req.headers && req.headers['idempotency-key'];
+  const supplied = Array.isArray(headerValue) ? headerValue[0] : headerValue;
+
+  if (supplied !== undefined) {
+    if (!supplied || supplied.length > MAX_KEY_LENGTH || !/^[\x21-\x7e]+$/.test(supplied)) {
+      throw new HttpError(400, {
+        error: 'Invalid Idempotency-Key header',
+        message: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} printable ASCII characters without spaces`,
+        success: false
+      });
+    }
+    return `${letter.type}:key:${supplied}`;
+  }
+
+  const contentHash = crypto.createHash('sha256').update(canonicalJson(data)).digest('hex');
+  return `${letter.type}:${data.enrollment_record_id || data.recordID}:${contentHash}`;
+}
+
+/**
+ * Run task once per key
+ * @returns {Promise<{ result: object, replayed: boolean }>} replayed is true
+ *   when the result comes from an earlier request
+ */
+async function runOnce(key, task, { store = getIdempotencyStore(), ttlHours = Number(process.env.IDEMPOTENCY_TTL_HOURS) || DEFAULT_TTL_HOURS } = {}) {
+  const claimed = await store.add(key, { state: 'pending', expiresAt: Date.now() + PENDING_TTL_MS });
+
+  if (!claimed) {
+    const existing = await store.get(key);
+    if (existing && existing.state === 'done') {
+      console.log(`Idempotency key ${key} already issued - returning the original letter`);
+      return { result: existing.result, replayed: true };
+    }
+    throw new HttpError(409, {
+      error: 'This letter is already being generated',
+      message: 'Retry once the first request has finished',
+      success: false
+    });
+  }
+
+  let result;
+  try {
+    result = await task();
+  } catch (err) {
+    await store.delete(key);
+    throw err;
+  }
+
+  await store.set(key, {
+    state: 'done',
+    result,
+    completedAt: new Date().toISOString(),
+    expiresAt: Date.now() + ttlHours * 60 * 60 * 1000
+  });
+  return { result, replayed: false };
+}
+
+module.exports = {
+  createMemoryStore,
+  createFileStore,
+  createKvStore,
+  getIdempotencyStore,
+  setIdempotencyStore,
+  idempotencyKey,
+  runOnce
+};
@@ -0,0 +1,70 @@
+const axios = require('axios');
+
+/**
+ * Key-value store shared by every function and instance
+ *
+ * Redis over its REST API, as provided by Vercel KV and Upstash, configured
+ * with KV_REST_API_URL and KV_REST_API_TOKEN (the names the Vercel
+ * integration sets; UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN
+ * work too). Values are stored as JSON under a per-store key prefix.
+ */
+
+const TIMEOUT_MS = 5 * 1000;
+
+/**
+ * URL and token of the configured store; null when there is none
+ */
+const kvConfig = () => {
+  const url = process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL;
+  const token = process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN;
+  return url && token ? { url: url.replace(/\/+$/, ''), token } : null;
+};
+
+const isKvConfigured = () => kvConfig() !== null;
+
+/**
+ * A client for the keys under `prefix`
+ * get(key), add(key, value, { ttlMs }) -> bool (false when the key exists),
+ * set(key, value, { ttlMs }) and delete(key); keys without ttlMs never expire
+ * @param {string} prefix - e.g. "letters:idempotency:"
+ * @param {object} [http] - axios, replaced in tests
+ */
+function createKvClient(prefix, { config = kvConfig(), http = axios } = {}) {
+  if (!config) throw new Error('KV_REST_API_URL and KV_REST_API_TOKEN must be set to use the kv store');
+
+  const command = async (...args) => {
+    try {
+      const response = await http.post(config.url, args, {
+        headers: { Authorization: `Bearer ${config.token}` },
+        timeout: TIMEOUT_MS
+      });
+      return response.data.result;
+    } catch (err) {
+      const reason = (err.response && err.response.data && err.response.data.error) || err.message;
+      throw new Error(`KV ${args[0]} failed: ${reason}`);
+    }
+  };
+
+  const expiry = (ttlMs) => (ttlMs ? ['PX', String(Math.max(1, Math.ceil(ttlMs)))] : []);
+
+  return {
+    async get(key) {
+      const value = await command('GET', prefix + key);
+      return value === null || value === undefined ? null : JSON.parse(value);
+    },
+    async add(key, value, { ttlMs } = {}) {
+      return (await command('SET', prefix + key, JSON.stringify(value), 'NX', ...expiry(ttlMs))) === 'OK';
+    },
+    async set(key, value, { ttlMs } = {}) {
+      await command('SET', prefix + key, JSON.stringify(value), ...expiry(ttlMs));
+    },
+    async delete(key) {
+      await command('DEL', prefix + key);
+    }
+  };
+}
+
+module.exports = {
+  isKvConfigured,
+  createKvClient
+};
@@ -0,0 +1,296 @@
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('./errors');
+const { escapeHtml } = require('./escape');
+
+/**
+ * Languages letters are written in, and their wording
+ *
+ * Everything a letter prints comes from a message catalog in
+ * config/locales/<language>.json: subject line, body sentences, course list,
+ * signature labels, verification and footer. Adding a language means adding a
+ * catalog; `npm run check-translations` lists what a catalog is missing.
+ *
+ * Messages:
+ *   "Date: {date}"                        - {placeholders} are filled with escaped values
+ *   "**Dr.{name}** is enrolled"           - **bold**, in messages rendered as HTML
+ *   { "one": "Course:", "other": "Courses:" } - plural forms (CLDR categories), picked by `count`
+ * A key missing from a catalog falls back to the parent language
+ * (pt-BR to pt) and then to English.
+ *
+ * `meta` describes the language: `name`, `locale` (dates and plural rules),
+ * `direction` (ltr or rtl), `day` ("numeric" or "2-digit") for long dates and
+ * an optional `firstDayOfMonth` ("1er"). Regional catalogs inherit it.
+ *
+ * A letter's language is, in order: the request's `language`, the contact's
+ * preferred language (`hs_language`, when the workflow sends it), English.
+ * `bilingual: true` prints the letter's language and English side by side.
+ */
+
+const LOCALES_DIR = path.join(__dirname, '..', 'config', 'locales');
+const DEFAULT_LANGUAGE = 'en';
+
+const DIRECTIONS = ['ltr', 'rtl'];
+const DAY_STYLES = ['numeric', '2-digit'];
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+const isPlural = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  Object.keys(value).length > 0 && Object.keys(value).every(key => PLURAL_CATEGORIES.includes(key));
+
+// { recipient: { date: '...' } } as [['recipient.date', '...']]
+const flatten = (node, prefix = '') => Object.entries(node).flatMap(([key, value]) => {
+  const name = prefix ? `${prefix}.${key}` : key;
+  if (value !== null && typeof value === 'object' && !Array.isArray(value) && !isPlural(value)) return flatten(value, name);
+  return [[name, value]];
+});
+
+// pt-BR, pt, en: the catalogs a language reads messages from, in order
+const chainOf = (language, catalogs) => {
+  const chain = [];
+  const parts = language.split('-');
+  while (parts.length > 0) {
+    if (catalogs.has(parts.join('-'))) chain.push(parts.join('-'));
+    parts.pop();
+  }
+  return chain.includes(DEFAULT_LANGUAGE) ? chain : [...chain, DEFAULT_LANGUAGE];
+};
+
+/**
+ * Read every catalog in a directory
+ * Throws on mistakes that would break letters (bad JSON, invalid meta, no English);
+ * untranslated keys are left to catalogProblems()
+ * @returns {Map<string, { meta: object, ownMeta: object, messages: Map<string, string|object> }>}
+ *   meta includes what a regional catalog inherits
+ */
+function loadCatalogs(dir = LOCALES_DIR) {
+  const catalogs = new Map();
+  for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.json')).sort()) {
+    const language = path.basename(file, '.json');
+    if (!/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(language)) {
+      throw new Error(`Message catalog ${file}: file name must be a language tag, e.g. es.json or pt-BR.json`);
+    }
+    let catalog;
+    try {
+      catalog = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    } catch (err) {
+      throw new Error(`Message catalog ${file}: ${err.message}`);
+    }
+    const { meta = {}, ...messages } = catalog;
+    catalogs.set(language, { ownMeta: meta, messages: new Map(flatten(messages)) });
+  }
+
+  if (!catalogs.has(DEFAULT_LANGUAGE)) {
+    throw new Error(`Message catalogs: ${DEFAULT_LANGUAGE}.json is required, other languages fall back to it`);
+  }
+
+  for (const [language, catalog] of catalogs) {
+    catalog.meta = Object.assign({}, ...chainOf(language, catalogs).reverse().map(tag => catalogs.get(tag).ownMeta));
+    const { name, locale, direction, day } = catalog.meta;
+    const problems = [
+      typeof name !== 'string' && 'name',
+      !isLocale(locale) && 'locale',
+      !DIRECTIONS.includes(direction) && `direction (${DIRECTIONS.join(' or ')})`,
+      !DAY_STYLES.includes(day) && `day (${DAY_STYLES.join(' or ')})`
+    ].filter(Boolean);
+    if (problems.length > 0) {
+      throw new Error(`Message catalog ${language}.json: meta needs a valid ${problems.join(', ')}`);
+    }
+  }
+  return catalogs;
+}
+
+function isLocale(value) {
+  try {
+    return typeof value === 'string' && Intl.getCanonicalLocales(value).length === 1;
+  } catch (err) {
+    return false;
+  }
+}
+
+const placeholders = (value) => [...new Set((isPlural(value) ? Object.values(value) : [value])
+  .flatMap(text => [...String(text).matchAll(PLACEHOLDER)].map(match => match[1])))].sort();
+
+const boldBalanced = (value) => (isPlural(value) ? Object.values(value) : [value])
+  .every(text => String(text).split('**').length % 2 === 1);
+
+// English keys no catalog in a language's chain translates
+const untranslatedKeys = (language, catalogs) => {
+  const translations = chainOf(language, catalogs).filter(tag => tag !== DEFAULT_LANGUAGE);
+  if (language === DEFAULT_LANGUAGE) return [];
+  return [...catalogs.get(DEFAULT_LANGUAGE).messages.keys()]
+    .filter(key => !translations.some(tag => catalogs.get(tag).messages.has(key)));
+};
+
+/**
+ * What a translator still has to do in one catalog, compared with English:
+ * keys not translated (printed in English), keys English does not have,
+ * placeholders that differ from English, and malformed messages
+ * @returns {string[]}
+ */
+function catalogProblems(language, catalogs = CATALOGS) {
+  const english = catalogs.get(DEFAULT_LANGUAGE).messages;
+  const { messages } = catalogs.get(language);
+  const problems = [];
+
+  for (const [key, value] of messages) {
+    if (!english.has(key) && language !== DEFAULT_LANGUAGE) {
+      problems.push(`${key}: not in ${DEFAULT_LANGUAGE}.json`);
+    } else if (typeof value !== 'string' && !isPlural(value)) {
+      problems.push(`${key}: must be text or plural forms (${PLURAL_CATEGORIES.join(', ')})`);
+    } else if (isPlural(value) && value.other === undefined) {
+      problems.push(`${key}: plural forms need "other"`);
+    } else if (!boldBalanced(value)) {
+      problems.push(`${key}: unbalanced **`);
+    } else if (english.has(key) && placeholders(value).join() !== placeholders(english.get(key)).join()) {
+      problems.push(`${key}: placeholders ${placeholders(value).map(name => `{${name}}`).join(' ') || 'none'}, English has ${placeholders(english.get(key)).map(name => `{${name}}`).join(' ') || 'none'}`);
+    }
+  }
+
+  return [...problems, ...untranslatedKeys(language, catalogs).map(key => `${key}: not translated`)];
+}
+
+const CATALOGS = loadCatalogs();
+
+// Keys each language prints in English, reported with the letter
+const UNTRANSLATED = new Map([...CATALOGS.keys()].map(language => [language, untranslatedKeys(language, CATALOGS).length]));
+
+const listLanguages = () => [...CATALOGS.keys()];
+
+const isLanguage = (value) => typeof value === 'string' && CATALOGS.has(value);
+
+/**
+ * Catalogs a language reads from, most specific first, ending with English;
+ * also used for translated config values (course names, campus names)
+ */
+const languageChain = (language) => chainOf(language, CATALOGS);
+
+/**
+ * A language's meta: name, locale, direction, day, firstDayOfMonth
+ */
+const languageMeta = (language) => CATALOGS.get(language).meta;
+
+/**
+ * HubSpot language values ("fr", "fr-ca", "pt_BR") as a catalog language, or null
+ * A regional value without its own catalog uses the language's ("es-MX" to es)
+ */
+const normalizeLanguage = (value) => {
+  const parts = String(value).trim().replace(/_/g, '-').toLowerCase().split('-');
+  while (parts.length > 0) {
+    const match = listLanguages().find(language => language.toLowerCase() === parts.join('-'));
+    if (match) return match;
+    parts.pop();
+  }
+  return null;
+};
+
+/**
+ * Languages a letter is written in, the letter's own language first
+ * Throws HttpError 400 for an unsupported `language` or an invalid `bilingual`;
+ * an unsupported preferred language falls back to English with a warning
+ * @param {object} data - webhook payload
+ * @param {string[]} warnings - collects problems the caller should see
+ * @returns {string[]} e.g. ['en'], ['fr'] or ['fr', 'en']
+ */
+function resolveLanguages(data, warnings) {
+  let language = DEFAULT_LANGUAGE;
+  if (data.language !== undefined) {
+    language = normalizeLanguage(data.language);
+    if (!language) {
+      throw new HttpError(400, {
+        error: 'Unsupported language',
+        language: data.language,
+        supportedLanguages: listLanguages(),
+        success: false
+      });
+    }
+  } else if (data.hs_language) {
+    language = normalizeLanguage(data.hs_language);
+    if (!language) {
+      warnings.push(`Preferred language "${data.hs_language}" is not available; the letter is in English`);
+      language = DEFAULT_LANGUAGE;
+    }
+  }
+
+  if (UNTRANSLATED.get(language) > 0) {
+    warnings.push(`${languageMeta(language).name} translation is incomplete; ${UNTRANSLATED.get(language)} text(s) are printed in English`);
+  }
+
+  if (data.bilingual === undefined || data.bilingual === false) return [language];
+  if (data.bilingual !== true) {
+    throw new HttpError(400, { error: 'Invalid bilingual', message: 'bilingual must be true or false', success: false });
+  }
+  if (language === DEFAULT_LANGUAGE) {
+    throw new HttpError(400, {
+      error: 'Bilingual letters need a second language',
+      message: `Send language (one of ${listLanguages().filter(key => key !== DEFAULT_LANGUAGE).join(', ')}) to print next to English`,
+      success: false
+    });
+  }
+  return [language, DEFAULT_LANGUAGE];
+}
+
+const lookup = (language, key, catalogs) => {
+  for (const tag of chainOf(language, catalogs)) {
+    const value = catalogs.get(tag).messages.get(key);
+    if (value !== undefined) {
+      if (!isPlural(value)) return value;
+      return (count) => value[new Intl.PluralRules(catalogs.get(tag).meta.locale).select(Number(count))] || value.other;
+    }
+  }
+  throw new Error(`No message "${key}" in ${DEFAULT_LANGUAGE}.json`);
+};
+
+const fill = (text, params, format) => text.replace(PLACEHOLDER, (match, name) =>
+  (Object.prototype.hasOwnProperty.call(params, name) ? format(name, params[name]) : match));
+
+const pick = (value, params) => (typeof value === 'function' ? value(params.count) : value);
+
+/**
+ * Whether English (and so every language) has a message
+ */
+const hasMessage = (key) => CATALOGS.get(DEFAULT_LANGUAGE).messages.has(key);
+
+/**
+ * A message as plain text
+ * @param {object} [params] - placeholder values; `count` also picks the plural form
+ */
+function message(language, key, params = {}, { catalogs = CATALOGS } = {}) {
+  return fill(pick(lookup(language, key, catalogs), params), params, (name, value) => String(value));
+}
+
+/**
+ * A message as HTML: its text and the values are escaped and **bold** becomes <strong>
+ * In right-to-left languages values are isolated (<bdi>), so Latin names,
+ * addresses and dates keep their own order inside the sentence
+ * @param {object} [markup] - placeholder values that are trusted HTML, e.g. Puppeteer's page number spans
+ */
+function messageHtml(language, key, params = {}, markup = {}, { catalogs = CATALOGS } = {}) {
+  const html = escapeHtml(pick(lookup(language, key, catalogs), params)).replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
+  const isolate = catalogs.get(chainOf(language, catalogs)[0]).meta.direction === 'rtl';
+  return fill(html, { ...params, ...markup }, (name, value) => {
+    if (Object.prototype.hasOwnProperty.call(markup, name)) return value;
+    return isolate ? `<bdi>${escapeHtml(value)}</bdi>` : escapeHtml(value);
+  });
+}
+
+/**
+ * "<start> to <end>" in one language
+ */
+const dateRange = (language, start, end) => message(language, 'courses.dateRange', { start, end });
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  loadCatalogs,
+  catalogProblems,
+  listLanguages,
+  isLanguage,
+  languageChain,
+  languageMeta,
+  resolveLanguages,
+  hasMessage,
+  message,
+  messageHtml,
+  dateRange
+};
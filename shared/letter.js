@@ -0,0 +1,549 @@
+const crypto = require('crypto');
+const { generatePDF } = require('./browser');
+const { uploadPDF, createNote, fetchAssociatedEnrollments, createRequestCounter } = require('./hubspot');
+const { formatLongDate, propertyDate, formatIssueDate, isIsoDate, todayIsoDate } = require('./format');
+const { resolveLocation, findLocation, timeZoneOf, localizeLocation } = require('./locations');
+const { resolveSignatory, signatoryTitle } = require('./signatories');
+const { resolveCourse, isEligible, courseName, courseDuration, CATALOG_VERSION } = require('./courses');
+const { renderLetterHTML, renderPageOptions, assertTemplateExists } = require('./template');
+const { letterAssets } = require('./assets');
+const { HttpError, LookupError } = require('./errors');
+const { safeFileNamePart } = require('./escape');
+const { readRawBody, parseSignatureVersions, verifyHubSpotSignature, candidateUris } = require('./signature');
+const { getLetterType, listLetterTypes } = require('./registry');
+const { idempotencyKey, runOnce } = require('./idempotency');
+const { resolveSelection, selectCourses, selectionErrors } = require('./selection');
+const { newDocumentId, verificationView, getVerificationStore, recordLetter } = require('./verification');
+const { finishPDF } = require('./pdf');
+const { resolveEncryption, encryptionErrors } = require('./encryption');
+const { resolveArchival } = require('./pdfa');
+const { letterMetadata } = require('./metadata');
+const { resolveLanguages, hasMessage, message } = require('./language');
+
+/**
+ * Calendar dates (YYYY-MM-DD) an enrollment starts and ends
+ * @param {object} values - course_start_date and course_end_date as HubSpot sends them
+ * @param {string} timeZone - the campus's, for datetime properties
+ */
+const courseDates = (values, timeZone) => ({
+  startDate: propertyDate('course_start_date', values.course_start_date, timeZone),
+  endDate: propertyDate('course_end_date', values.course_end_date, timeZone)
+});
+
+/**
+ * A course's name and duration in each letter language
+ * @returns {object} e.g. { fr: { name, duration }, en: { name, duration } }
+ */
+const courseText = (course, languages, { startDate, endDate }) => Object.fromEntries(languages.map((language) => {
+  const start = formatLongDate(startDate, { language });
+  const end = formatLongDate(endDate, { language });
+  return [language, { name: courseName(course, language), duration: courseDuration(course, start, end, language) }];
+}));
+
+/**
+ * Enrollment described directly by the webhook payload (one course per letter)
+ */
+const payloadSource = {
+  requiredFields: ['firstname', 'lastname', 'recordID', 'student_id', 'location', 'course_id', 'enrollment_record_id'],
+
+  async loadCourses(data, letter, { languages }) {
+    if (data.selection !== undefined) {
+      throw new HttpError(400, {
+        error: 'selection only applies to letters listing all enrollments',
+        letterType: letter.type,
+        success: false
+      });
+    }
+
+    const course = resolveCourse(data.course_id);
+    console.log(`Found course (catalog ${CATALOG_VERSION}): `, course.name);
+    if (!isEligible(course, letter.type)) {
+      throw new LookupError(`${course.code} courses are not eligible for a ${letter.title}`, {
+        course_id: data.course_id,
+        letterType: letter.type
+      });
+    }
+
+    const text = courseText(course, languages, courseDates(data, timeZoneOf(data.location)));
+
+    return [{
+      ...text[languages[0]],
+      text,
+      location: data.location,
+      code: course.code,
+      hubspotId: data.enrollment_record_id
+    }];
+  },
+
+  fileName: (letter, data) => `${letter.filePrefix}_${safeFileNamePart(data.student_id)}_${safeFileNamePart(data.enrollment_record_id)}.pdf`
+};
+
+/**
+ * Enrollments associated with the contact in HubSpot (several courses per letter)
+ */
+const associationsSource = {
+  requiredFields: ['firstname', 'lastname', 'recordID', 'student_id'],
+
+  async loadCourses(data, letter, { counter, warnings, skipped, issueDate, languages }) {
+    // Checked before any HubSpot call so a bad request costs nothing
+    const selection = resolveSelection(letter, data.selection);
+
+    const { enrollments, skipped: unreadable, truncated } = await fetchAssociatedEnrollments(data.recordID, { counter });
+    skipped.push(...unreadable);
+    if (truncated) {
+      warnings.push(`Contact has more than ${truncated.limit} enrollments; only the first ${truncated.limit} were considered, so the most recent ones may be missing from this letter`);
+    }
+
+    const candidates = enrollments.map(({ id, properties: props }) => {
+      // Skip course if missing critical information
+      if (!props.course_start_date || !props.course_end_date || !props.course_id) {
+        console.warn(`Skipping enrollment ${id} - missing required properties:`, {
+          has_start_date: !!props.course_start_date,
+          has_end_date: !!props.course_end_date,
+          has_course_id: !!props.course_id
+        });
+        return null;
+      }
+
+      let course;
+      try {
+        course = resolveCourse(props.course_id);
+      } catch (err) {
+        if (!(err instanceof LookupError)) throw err;
+        console.warn(`Skipping course ${id} - ${err.message}`);
+        return null;
+      }
+
+      if (!isEligible(course, letter.type)) {
+        console.log(`Skipping course ${id} - ${course.code} not eligible for ${letter.type}:`, props.course_id);
+        return null;
+      }
+
+      // Datetimes are read where the course takes place, else at the contact's campus
+      const campus = findLocation(props.location);
+      let dates;
+      try {
+        dates = courseDates(props, campus ? campus.timeZone : timeZoneOf(data.location));
+      } catch (err) {
+        console.warn(`Skipping course ${id} - invalid date format:`, err.message);
+        return null;
+      }
+
+      const text = courseText(course, languages, dates);
+      return {
+        ...text[languages[0]],
+        text,
+        location: props.location,
+        code: course.code,
+        campusKey: campus && campus.key,
+        ...dates,
+        createDate: props.createdate ? new Date(props.createdate) : new Date(0),
+        hubspotId: id
+      };
+    }).filter(course => course !== null);
+
+    // --- Apply the letter's selection rules ---
+    console.log(`Selecting from ${candidates.length} valid enrollments:`, selection);
+
+    const selected = selectCourses(candidates, selection, issueDate);
+
+    console.log(`Selected ${selected.length} enrollments`);
+
+    if (selected.length === 0) {
+      throw new HttpError(400, {
+        error: 'No valid course enrollments found for this student',
+        recordID: data.recordID,
+        selection,
+        ...(skipped.length > 0 && { skippedEnrollments: skipped })
+      });
+    }
+
+    console.log('Included enrollments:', selected.map(r => ({ id: r.hubspotId, code: r.code, created: r.createDate.toISOString(), ends: r.endDate })));
+
+    return selected;
+  },
+
+  fileName: (letter, data) => `${letter.filePrefix}_${safeFileNamePart(data.student_id)}.pdf`
+};
+
+const SOURCES = {
+  payload: payloadSource,
+  associations: associationsSource
+};
+
+/**
+ * Resolve everything a letter needs and render its HTML
+ * Reads HubSpot enrollments for association-based letters but writes nothing
+ * @param {object} counter - HubSpot request counter from createRequestCounter()
+ * @param {string} documentId - verification ID printed on the letter
+ * @returns {{ html: string, pdfOptions: object, fileName: string, content: object, metadata: object, signing: object, encryption: object|null, archival: boolean, review: string|null, warnings: string[], skipped: Array<{ id, reason }> }}
+ *   content is what the verification record keeps: issueDate, studentName, courses
+ *   (in the letter's language);
+ *   metadata is from letterMetadata();
+ *   signing is shown in the PDF signature panel: reason, location, contactInfo;
+ *   encryption is from resolveEncryption(), archival from resolveArchival()
+ */
+async function prepareLetter(letter, data, counter, documentId) {
+  const source = SOURCES[letter.source];
+
+  const missingFields = source.requiredFields.filter(field => !data[field]);
+  if (missingFields.length > 0) {
+    throw new HttpError(400, {
+      error: 'Missing required fields',
+      missingFields,
+      receivedData: data
+    });
+  }
+
+  // issue_date re-issues a letter as of its original date (and signatory);
+  // otherwise it is dated today at the campus
+  const today = todayIsoDate(timeZoneOf(data.location));
+  const issueDate = data.issue_date || today;
+  if (!isIsoDate(issueDate) || issueDate > today) {
+    throw new HttpError(400, {
+      error: 'Invalid issue_date',
+      message: 'issue_date must be a past or current date in YYYY-MM-DD format',
+      issue_date: data.issue_date
+    });
+  }
+
+  // Problems that did not stop the letter but the caller should see
+  const warnings = [];
+
+  // Checked before any HubSpot call so a bad request costs nothing
+  const encryption = resolveEncryption(letter, data);
+  const archival = resolveArchival(letter, data, encryption);
+  const languages = resolveLanguages(data, warnings);
+
+  // Enrollments HubSpot would not return (ENROLLMENT_FETCH_POLICY=partial)
+  const skipped = [];
+  const courses = await source.loadCourses(data, letter, { counter, warnings, skipped, issueDate, languages });
+
+  // The payload's location names the campus; all-enrollment letters may omit it
+  const { location: campus, review } = resolveLocation(data.location || courses[0].location);
+
+  const signatory = resolveSignatory({ letterType: letter.type, location: campus.key, issueDate });
+  console.log(`Letter dated ${issueDate} signed by ${signatory.key}`);
+
+  const view = {
+    contactName: `${data.firstname} ${data.lastname}`,
+    campus: localizeLocation(campus, languages[0]),
+    signatory,
+    assets: letterAssets(signatory),
+    verification: await verificationView(documentId),
+    languages: languages.map(language => ({
+      language,
+      title: message(language, `titles.${letter.type}`),
+      date: formatIssueDate(issueDate, language),
+      campus: localizeLocation(campus, language),
+      courses: courses.map(course => course.text[language]),
+      signatoryTitle: signatoryTitle(signatory, language)
+    }))
+  };
+  const html = renderLetterHTML(letter, view);
+  const pdfOptions = renderPageOptions(letter, view);
+  const content = { issueDate, studentName: view.contactName, courses };
+  const metadata = letterMetadata(letter, data, { documentId, ...content });
+  const signing = { reason: `${letter.title} ${documentId}`, location: campus.displayName, contactInfo: campus.email };
+
+  return { html, pdfOptions, fileName: source.fileName(letter, data), content, metadata, signing, encryption, archival, review, warnings, skipped };
+}
+
+/**
+ * Render, upload and attach one letter for a validated webhook payload
+ */
+async function issueLetter(letter, data) {
+  // A letter whose QR code cannot be verified is not issued; fail before any work
+  const verificationStore = getVerificationStore();
+  const counter = createRequestCounter();
+  const documentId = newDocumentId();
+  const { html, pdfOptions, fileName, content, metadata, signing, encryption, archival, review, warnings, skipped } = await prepareLetter(letter, data, counter, documentId);
+
+  // Generate PDF using proven serverless pattern from PUPPETEER_SERVERLESS_GUIDE
+  console.log('Generating PDF with serverless-optimized Puppeteer...');
+  const pdfBuffer = await finishPDF(await generatePDF(html, pdfOptions), { metadata, signing, encryption, archival });
+  console.log('✅ PDF generated successfully');
+
+  // Recorded before upload so every letter that reaches HubSpot can be verified
+  await recordLetter({ documentId, letterType: letter.type, title: letter.title, ...content }, pdfBuffer, { store: verificationStore });
+  console.log(`Letter recorded for verification as ${documentId}`);
+
+  const file = await uploadPDF(pdfBuffer, fileName, { counter });
+  const note = await createNote({
+    recordID: data.recordID,
+    label: letter.title,
+    file,
+    documentId,
+    passwordHint: encryption && encryption.hint,
+    review,
+    skipped
+  }, { counter });
+
+  console.log('HubSpot requests for this letter:', counter.summary());
+  return { noteId: note.id, fileUrl: file.url, documentId, review, warnings, skipped, hubspotRequests: counter.total };
+}
+
+/**
+ * Render a letter without uploading it or creating a note
+ * It carries a document ID like an issued letter, but one that is never recorded,
+ * and is never signed, encrypted or converted to PDF/A
+ * @param {string} format - "pdf" or "html"
+ * @returns {{ body: Buffer|string, fileName: string, review: string|null, warnings: string[], skipped: Array<{ id, reason }>, hubspotRequests: number }}
+ */
+async function previewLetter(letter, data, format) {
+  const counter = createRequestCounter();
+  const { html, pdfOptions, fileName, review, warnings, skipped } = await prepareLetter(letter, data, counter, newDocumentId());
+  console.log('HubSpot requests for this preview:', counter.summary());
+  const details = { fileName, review, warnings, skipped, hubspotRequests: counter.total };
+  if (format === 'html') return { body: html, ...details };
+
+  console.log('Generating preview PDF...');
+  return { body: await generatePDF(html, pdfOptions), ...details };
+}
+
+for (const type of listLetterTypes()) {
+  const letter = getLetterType(type);
+  if (!SOURCES[letter.source]) {
+    throw new Error(`Unknown letter source "${letter.source}" for letter type "${type}"`);
+  }
+  if (letter.selection) {
+    const errors = selectionErrors(letter.selection);
+    if (errors.length > 0) throw new Error(`Letter type "${type}" has an invalid selection: ${errors.join('; ')}`);
+  }
+  if (letter.encryption) {
+    const errors = encryptionErrors(letter.encryption);
+    if (errors.length > 0) throw new Error(`Letter type "${type}" has an invalid encryption: ${errors.join('; ')}`);
+  }
+  if (letter.archival !== undefined && typeof letter.archival !== 'boolean') {
+    throw new Error(`Letter type "${type}" has an invalid archival: must be true or false`);
+  }
+  if (letter.archival && letter.encryption) {
+    throw new Error(`Letter type "${type}" cannot be both archival and encrypted: PDF/A does not allow encryption`);
+  }
+  assertTemplateExists(letter.template);
+  for (const key of [`titles.${type}`, `bodies.${letter.template}`]) {
+    if (!hasMessage(key)) throw new Error(`Letter type "${type}" has no "${key}" message in config/locales/en.json`);
+  }
+}
+
+/**
+ * Reject requests that were not signed by HubSpot with our client secret
+ * SKIP_HUBSPOT_SIGNATURE=true disables the check outside production (local testing only)
+ * @param {string} body - raw request body, from readRawBody()
+ */
+function authenticateWebhook(req, letter, body) {
+  if (process.env.SKIP_HUBSPOT_SIGNATURE === 'true' && process.env.VERCEL_ENV !== 'production') {
+    console.warn('HubSpot signature verification skipped (SKIP_HUBSPOT_SIGNATURE=true)');
+    return;
+  }
+
+  const clientSecret = process.env.HUBSPOT_CLIENT_SECRET;
+  if (!clientSecret) {
+    throw new HttpError(500, {
+      error: 'Webhook signature verification is not configured',
+      message: 'Set HUBSPOT_CLIENT_SECRET',
+      success: false
+    });
+  }
+
+  let allowedVersions;
+  try {
+    allowedVersions = parseSignatureVersions(process.env.HUBSPOT_SIGNATURE_VERSIONS);
+  } catch (err) {
+    throw new HttpError(500, {
+      error: 'Webhook signature verification is misconfigured',
+      message: `HUBSPOT_SIGNATURE_VERSIONS: ${err.message}`,
+      success: false
+    });
+  }
+
+  const paths = [`/letters/${letter.type}`];
+  if (letter.legacyRoute) paths.push(letter.legacyRoute, `/api${letter.legacyRoute}`);
+
+  const version = verifyHubSpotSignature(req, {
+    clientSecret,
+    uris: candidateUris(req, paths),
+    body,
+    allowedVersions
+  });
+  console.log(`HubSpot signature verified (${version})`);
+}
+
+/**
+ * Preview requests come from support staff rather than HubSpot, so they carry
+ * PREVIEW_API_KEY as a bearer token instead of a webhook signature
+ */
+function authenticatePreview(req) {
+  if (process.env.SKIP_HUBSPOT_SIGNATURE === 'true' && process.env.VERCEL_ENV !== 'production') {
+    console.warn('Preview authentication skipped (SKIP_HUBSPOT_SIGNATURE=true)');
+    return;
+  }
+
+  const apiKey = process.env.PREVIEW_API_KEY;
+  if (!apiKey) {
+    throw new HttpError(403, {
+      error: 'Preview is not enabled',
+      message: 'Set PREVIEW_API_KEY',
+      success: false
+    });
+  }
+
+  const match = /^Bearer\s+(.+)$/i.exec((req.headers && req.headers.authorization) || '');
+  const expected = crypto.createHash('sha256').update(apiKey).digest();
+  const given = crypto.createHash('sha256').update(match ? match[1].trim() : '').digest();
+  if (!match || !crypto.timingSafeEqual(expected, given)) {
+    throw new HttpError(401, { error: 'Unauthorized', reason: 'Invalid or missing preview API key', success: false });
+  }
+}
+
+/**
+ * The JSON object a POST carries, parsed from the raw body the signature covers
+ */
+function parseBody(rawBody) {
+  if (rawBody.trim() === '') return {};
+  let data;
+  try {
+    data = JSON.parse(rawBody);
+  } catch (err) {
+    throw new HttpError(400, { error: 'Request body must be JSON', message: err.message, success: false });
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new HttpError(400, { error: 'Request body must be a JSON object', success: false });
+  }
+  return data;
+}
+
+/**
+ * Preview format from ?preview= ("html", or "pdf" for any other value), null when absent
+ */
+const previewFormat = (query = {}) => {
+  if (query.preview === undefined) return null;
+  return query.preview === 'html' ? 'html' : 'pdf';
+};
+
+/**
+ * Send a preview back inline; nothing is stored, so it must not be cached either
+ */
+function sendPreview(res, format, { body, fileName, review, warnings, skipped, hubspotRequests }) {
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('X-Letter-Preview', 'true');
+  res.setHeader('X-HubSpot-Requests', String(hubspotRequests));
+  // Header values must be printable ASCII; the reason quotes CRM data
+  const headerText = (text) => text.replace(/[^\x20-\x7e]/g, '?');
+  if (review) res.setHeader('X-Letter-Review', headerText(review));
+  if (warnings.length > 0) res.setHeader('X-Letter-Warnings', headerText(warnings.join(' | ')));
+  if (skipped.length > 0) res.setHeader('X-Letter-Skipped', headerText(skipped.map(({ id, reason }) => `${id}: ${reason}`).join(' | ')));
+
+  if (format === 'html') {
+    // The letter is self-contained; forbid anything else in case it is opened in a browser
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Content-Security-Policy', "default-src 'none'; img-src data:; font-src data:; style-src 'unsafe-inline'");
+  } else {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+  }
+  return res.status(200).send(body);
+}
+
+/**
+ * Vercel handler for /letters/:type and its legacy aliases
+ * The letter type arrives as ?type= from the rewrites in vercel.json
+ */
+async function letterHandler(req, res) {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
+  res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Authorization, Content-Length, Content-MD5, Content-Type, Date, Idempotency-Key, X-Api-Version');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  const letter = getLetterType(req.query && req.query.type);
+  if (!letter) {
+    return res.status(404).json({
+      error: 'Unknown letter type',
+      type: req.query && req.query.type,
+      validTypes: listLetterTypes()
+    });
+  }
+
+  if (req.method === 'GET') {
+    return res.status(200).json({
+      status: 'PDF Generation API running',
+      letterType: letter.type,
+      timestamp: new Date().toISOString(),
+      service: 'PDF Generation Service'
+    });
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const preview = previewFormat(req.query);
+
+  console.log(`PDF ${preview ? `preview (${preview})` : 'generation'} request received:`, { method: req.method, headers: { ...req.headers, authorization: undefined } });
+
+  try {
+    // Signatures cover the bytes HubSpot sent, so req.body (Vercel's parse) is never used
+    const rawBody = await readRawBody(req);
+
+    if (preview) {
+      authenticatePreview(req);
+      return sendPreview(res, preview, await previewLetter(letter, parseBody(rawBody), preview));
+    }
+
+    authenticateWebhook(req, letter, rawBody);
+
+    // Webhook retries return the letter issued by the first attempt
+    const data = parseBody(rawBody);
+    const { result: { noteId, fileUrl, documentId, review, warnings = [], skipped = [], hubspotRequests }, replayed } = await runOnce(
+      idempotencyKey(req, letter, data),
+      () => issueLetter(letter, data)
+    );
+    if (replayed) res.setHeader('Idempotent-Replayed', 'true');
+
+    return res.status(200).json({
+      message: replayed
+        ? 'Letter already issued for this request; returning the original note and file.'
+        : 'PDF generated, uploaded, and note created/associated in HubSpot.',
+      noteId,
+      fileUrl,
+      documentId,
+      ...(review && { needsReview: true, reviewReason: review }),
+      ...(warnings.length > 0 && { warnings }),
+      ...(skipped.length > 0 && { skippedEnrollments: skipped }),
+      hubspotRequests: replayed ? 0 : hubspotRequests,
+      ...(replayed && { replayed: true }),
+      success: true,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error instanceof LookupError) {
+      return res.status(400).json({ error: error.message, ...error.details, success: false });
+    }
+
+    if (error instanceof HttpError) {
+      if (error.status === 401) console.warn(`Rejected ${preview ? 'preview' : 'webhook'}:`, error.body.reason);
+      return res.status(error.status).json(error.body);
+    }
+
+    console.error('PDF generation error:', error);
+
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message,
+      success: false,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = {
+  letterHandler,
+  issueLetter,
+  previewLetter
+};
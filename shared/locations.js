@@ -0,0 +1,140 @@
+const registry = require('../config/locations.json');
+const { LookupError } = require('./errors');
+const { isLanguage, languageChain } = require('./language');
+
+/**
+ * Campus registry (config/locations.json)
+ *
+ * HubSpot location values match a campus key or alias exactly (case and
+ * surrounding whitespace ignored). What happens to anything else is the
+ * unknown-location policy, set in the registry and overridable with the
+ * UNKNOWN_LOCATION_POLICY env var:
+ *   reject  - LookupError, the request fails with 400
+ *   default - use the default campus and log a warning
+ *   review  - use the default campus and flag the letter for review
+ *
+ * `translations` overrides printed fields in another letter language, e.g.
+ * { "fr": { "displayName": "Montréal" } }.
+ *
+ * `timeZone` is the campus's IANA time zone, in which letters read datetime
+ * properties and today's date (see shared/format.js).
+ */
+
+const POLICIES = ['reject', 'default', 'review'];
+const REQUIRED_FIELDS = ['key', 'displayName', 'address', 'province', 'phone', 'email', 'footerAddress', 'timeZone'];
+const TRANSLATED_FIELDS = ['displayName', 'address', 'footerAddress'];
+
+const normalize = (value) => String(value).trim().toLowerCase();
+
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Validate the registry and index every key and alias
+ * Throws on missing fields, duplicate keys/aliases or a bad default so
+ * mistakes surface at cold start
+ */
+function loadLocations({ version, defaultLocation, unknownLocationPolicy = 'reject', locations }) {
+  if (!version) throw new Error('Location registry is missing a version');
+  if (!POLICIES.includes(unknownLocationPolicy)) {
+    throw new Error(`Location registry ${version}: unknownLocationPolicy must be one of ${POLICIES.join(', ')}`);
+  }
+
+  const index = new Map();
+  for (const location of locations) {
+    const missing = REQUIRED_FIELDS.filter(field => !location[field]);
+    if (missing.length > 0) {
+      throw new Error(`Location registry ${version}: ${location.key || JSON.stringify(location)} is missing ${missing.join(', ')}`);
+    }
+    if (!isTimeZone(location.timeZone)) {
+      throw new Error(`Location registry ${version}: ${location.key} has an unknown timeZone "${location.timeZone}"`);
+    }
+
+    for (const [language, fields] of Object.entries(location.translations || {})) {
+      if (!isLanguage(language)) throw new Error(`Location registry ${version}: ${location.key} has translations for unknown language "${language}"`);
+      const unknown = Object.keys(fields).filter(field => !TRANSLATED_FIELDS.includes(field));
+      if (unknown.length > 0) {
+        throw new Error(`Location registry ${version}: ${location.key} translates ${unknown.join(', ')} (only ${TRANSLATED_FIELDS.join(', ')} can be translated)`);
+      }
+    }
+
+    for (const name of [location.key, ...(location.aliases || [])]) {
+      const existing = index.get(normalize(name));
+      if (existing) {
+        throw new Error(`Location registry ${version}: "${name}" on ${location.key} conflicts with ${existing.key}`);
+      }
+      index.set(normalize(name), location);
+    }
+  }
+
+  const fallback = defaultLocation && index.get(normalize(defaultLocation));
+  if (!fallback) {
+    throw new Error(`Location registry ${version}: defaultLocation "${defaultLocation}" is not a known location`);
+  }
+
+  return { version, locations, index, fallback, unknownLocationPolicy };
+}
+
+const REGISTRY = loadLocations(registry);
+
+const activePolicy = (registryPolicy) => {
+  const policy = process.env.UNKNOWN_LOCATION_POLICY || registryPolicy;
+  if (!POLICIES.includes(policy)) {
+    throw new Error(`UNKNOWN_LOCATION_POLICY must be one of ${POLICIES.join(', ')}`);
+  }
+  return policy;
+};
+
+/**
+ * Resolve a HubSpot location value to its campus
+ * Returns { location, review } where review is a reason string when the
+ * letter was issued from the default campus under the "review" policy.
+ */
+function resolveLocation(value, { registry: { index, fallback, unknownLocationPolicy, locations, version } = REGISTRY, policy } = {}) {
+  const location = value !== undefined && value !== null && index.get(normalize(value));
+  if (location) return { location, review: null };
+
+  const appliedPolicy = policy || activePolicy(unknownLocationPolicy);
+  if (appliedPolicy === 'reject') {
+    throw new LookupError(`Invalid location "${value}"`, {
+      location: value,
+      validLocations: locations.flatMap(l => [l.key, ...(l.aliases || [])]),
+      registryVersion: version
+    });
+  }
+
+  const reason = `Unknown location "${value}" - used ${fallback.key}`;
+  console.warn(reason);
+  return { location: fallback, review: appliedPolicy === 'review' ? reason : null };
+}
+
+/**
+ * Campus for a key or alias, or null; never applies the unknown-location policy
+ */
+const findLocation = (value, { registry: { index } = REGISTRY } = {}) =>
+  (value !== undefined && value !== null && index.get(normalize(value))) || null;
+
+/**
+ * Time zone of the campus a location value names; the default campus's when it names none
+ */
+const timeZoneOf = (value, { registry = REGISTRY } = {}) => (findLocation(value, { registry }) || registry.fallback).timeZone;
+
+/**
+ * A campus with its printed fields in a letter language
+ */
+const localizeLocation = (location, language) => Object.assign({ ...location },
+  ...languageChain(language).reverse().map(tag => location.translations && location.translations[tag]));
+
+module.exports = {
+  loadLocations,
+  resolveLocation,
+  findLocation,
+  timeZoneOf,
+  localizeLocation
+};
@@ -0,0 +1,206 @@
+const { PDFDict, PDFName, PDFRef, PDFString, PDFHexString } = require('pdf-lib');
+
+/**
+ * Document properties of issued letters
+ *
+ * Each letter's title, author, subject, keywords and our own fields are
+ * written to the PDF info dictionary and to XMP metadata, so document
+ * management and search tools can index letters without opening them.
+ * shared/pdf.js applies them; shared/pdfa.js adds the PDF/A identification.
+ */
+
+const ORGANIZATION = 'Prep Doctors Institute';
+
+// Document info keys and the XMP property each must match (ISO 19005-2, 6.6.2.3)
+const INFO_PROPERTIES = {
+  Title: 'dc:title',
+  Author: 'dc:creator',
+  Subject: 'dc:description',
+  Keywords: 'pdf:Keywords',
+  Creator: 'xmp:CreatorTool',
+  Producer: 'pdf:Producer',
+  CreationDate: 'xmp:CreateDate',
+  ModDate: 'xmp:ModifyDate'
+};
+
+// Our info keys, written to XMP in the letter schema
+const LETTER_NAMESPACE = 'http://ns.prepdoctors.ca/letter/1.0/';
+const CUSTOM_PROPERTIES = {
+  DocumentID: 'Verification ID printed on the letter',
+  LetterType: 'Letter type key, e.g. completion-all',
+  StudentID: 'Student ID the letter was issued to',
+  EnrollmentRecordID: 'HubSpot enrollment record IDs the letter lists, comma-separated',
+  IssueDate: 'Date the letter is dated, YYYY-MM-DD'
+};
+
+/**
+ * Properties for one letter
+ * @param {object} letter - from getLetterType()
+ * @param {object} data - webhook payload
+ * @param {object} details
+ * @param {string} details.documentId
+ * @param {string} details.issueDate - YYYY-MM-DD
+ * @param {string} details.studentName
+ * @param {object[]} details.courses - as listed in the letter, with code and hubspotId
+ * @returns {{ title: string, author: string, subject: string, keywords: string[], custom: object }}
+ */
+function letterMetadata(letter, data, { documentId, issueDate, studentName, courses }) {
+  return {
+    title: `${letter.title} – Student ${data.student_id}`,
+    author: ORGANIZATION,
+    subject: `${letter.title} for ${studentName}, issued ${issueDate}`,
+    keywords: [...new Set(courses.map(course => course.code).filter(Boolean))],
+    custom: {
+      DocumentID: documentId,
+      LetterType: letter.type,
+      StudentID: String(data.student_id),
+      EnrollmentRecordID: courses.map(course => course.hubspotId).filter(Boolean).join(', '),
+      IssueDate: issueDate
+    }
+  };
+}
+
+const infoDict = (pdfDoc) => {
+  const { context } = pdfDoc;
+  const existing = context.lookupMaybe(context.trailerInfo.Info, PDFDict);
+  if (existing) return existing;
+  const info = context.obj({});
+  context.trailerInfo.Info = context.register(info);
+  return info;
+};
+
+/**
+ * Document info as strings and Dates, text values as readers show them;
+ * includes our custom keys
+ */
+function readInfo(pdfDoc) {
+  const info = pdfDoc.context.lookupMaybe(pdfDoc.context.trailerInfo.Info, PDFDict);
+  if (!info) return {};
+  return Object.fromEntries([...Object.keys(INFO_PROPERTIES), ...Object.keys(CUSTOM_PROPERTIES)].flatMap((key) => {
+    const value = info.get(PDFName.of(key));
+    if (!(value instanceof PDFString || value instanceof PDFHexString)) return [];
+    if (key.endsWith('Date') && key in INFO_PROPERTIES) {
+      try {
+        return [[key, value.decodeDate()]];
+      } catch (err) {
+        return [];
+      }
+    }
+    return [[key, value.decodeText()]];
+  }));
+}
+
+const xmlEscape = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// XMP dates are ISO 8601 to the second
+const xmpDate = (date) => date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+// PDF/A extension schema describing the letter namespace (ISO 19005-2, 6.6.2.3.2)
+const extensionSchema = () => [
+  '<pdfaExtension:schemas><rdf:Bag><rdf:li rdf:parseType="Resource">',
+  `<pdfaSchema:schema>${ORGANIZATION} letter</pdfaSchema:schema>`,
+  `<pdfaSchema:namespaceURI>${LETTER_NAMESPACE}</pdfaSchema:namespaceURI>`,
+  '<pdfaSchema:prefix>letter</pdfaSchema:prefix>',
+  '<pdfaSchema:property><rdf:Seq>',
+  ...Object.entries(CUSTOM_PROPERTIES).map(([name, description]) =>
+    `<rdf:li rdf:parseType="Resource"><pdfaProperty:name>${name}</pdfaProperty:name><pdfaProperty:valueType>Text</pdfaProperty:valueType>` +
+    `<pdfaProperty:category>external</pdfaProperty:category><pdfaProperty:description>${xmlEscape(description)}</pdfaProperty:description></rdf:li>`),
+  '</rdf:Seq></pdfaSchema:property>',
+  '</rdf:li></rdf:Bag></pdfaExtension:schemas>'
+];
+
+/**
+ * XMP packet for the document info
+ * @param {object} info - from readInfo(); missing values are left out
+ * @param {boolean} pdfa - declare PDF/A-2b conformance
+ */
+function xmpPacket(info, pdfa) {
+  const text = (name, value) => `<${name}>${xmlEscape(value)}</${name}>`;
+  const custom = Object.keys(CUSTOM_PROPERTIES).filter(key => info[key]);
+  const properties = [
+    ...(pdfa ? [text('pdfaid:part', 2), text('pdfaid:conformance', 'B')] : []),
+    text('dc:format', 'application/pdf'),
+    info.Title && `<dc:title><rdf:Alt><rdf:li xml:lang="x-default">${xmlEscape(info.Title)}</rdf:li></rdf:Alt></dc:title>`,
+    info.Author && `<dc:creator><rdf:Seq><rdf:li>${xmlEscape(info.Author)}</rdf:li></rdf:Seq></dc:creator>`,
+    info.Subject && `<dc:description><rdf:Alt><rdf:li xml:lang="x-default">${xmlEscape(info.Subject)}</rdf:li></rdf:Alt></dc:description>`,
+    info.Keywords && text('pdf:Keywords', info.Keywords),
+    info.Producer && text('pdf:Producer', info.Producer),
+    info.Creator && text('xmp:CreatorTool', info.Creator),
+    info.CreationDate && text('xmp:CreateDate', xmpDate(info.CreationDate)),
+    info.ModDate && text('xmp:ModifyDate', xmpDate(info.ModDate)),
+    info.ModDate && text('xmp:MetadataDate', xmpDate(info.ModDate)),
+    ...custom.map(key => text(`letter:${key}`, info[key])),
+    ...(pdfa && custom.length > 0 ? extensionSchema() : [])
+  ].filter(Boolean);
+
+  const namespaces = {
+    ...(pdfa && { pdfaid: 'http://www.aiim.org/pdfa/ns/id/' }),
+    dc: 'http://purl.org/dc/elements/1.1/',
+    pdf: 'http://ns.adobe.com/pdf/1.3/',
+    xmp: 'http://ns.adobe.com/xap/1.0/',
+    ...(custom.length > 0 && { letter: LETTER_NAMESPACE }),
+    ...(pdfa && custom.length > 0 && {
+      pdfaExtension: 'http://www.aiim.org/pdfa/ns/extension/',
+      pdfaSchema: 'http://www.aiim.org/pdfa/ns/schema#',
+      pdfaProperty: 'http://www.aiim.org/pdfa/ns/property#'
+    })
+  };
+
+  return [
+    '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    `<rdf:Description rdf:about=""${Object.entries(namespaces).map(([prefix, uri]) => `\n xmlns:${prefix}="${uri}"`).join('')}>`,
+    ...properties,
+    '</rdf:Description>',
+    '</rdf:RDF>',
+    '</x:xmpmeta>',
+    '<?xpacket end="w"?>'
+  ].join('\n');
+}
+
+/**
+ * Write the document info to XMP metadata, replacing any there is
+ * Dates are rewritten so the info dictionary and XMP carry the same instant
+ * @param {object} pdfDoc - pdf-lib document
+ * @param {object} [options]
+ * @param {boolean} [options.pdfa] - declare PDF/A-2b conformance
+ */
+function writeXmp(pdfDoc, { pdfa = false } = {}) {
+  const { context, catalog } = pdfDoc;
+  const info = readInfo(pdfDoc);
+  info.CreationDate = info.CreationDate || new Date();
+  info.ModDate = info.ModDate || info.CreationDate;
+  pdfDoc.setCreationDate(info.CreationDate);
+  pdfDoc.setModificationDate(info.ModDate);
+
+  const stream = context.stream(Buffer.from(xmpPacket(info, pdfa), 'utf8'), { Type: 'Metadata', Subtype: 'XML' });
+  const existing = catalog.get(PDFName.of('Metadata'));
+  if (existing instanceof PDFRef) context.assign(existing, stream);
+  else catalog.set(PDFName.of('Metadata'), context.register(stream));
+}
+
+/**
+ * Set a letter's properties on a pdf-lib document; call before save()
+ * @param {object} metadata - from letterMetadata()
+ */
+function applyMetadata(pdfDoc, { title, author, subject, keywords, custom }) {
+  const info = infoDict(pdfDoc);
+  const values = { Title: title, Author: author, Subject: subject, Keywords: keywords.join(', '), ...custom };
+  for (const [key, value] of Object.entries(values)) {
+    if (value) info.set(PDFName.of(key), PDFHexString.fromText(value));
+  }
+  writeXmp(pdfDoc);
+}
+
+module.exports = {
+  INFO_PROPERTIES,
+  letterMetadata,
+  applyMetadata,
+  readInfo,
+  writeXmp
+};
@@ -0,0 +1,48 @@
+const { PDFDocument } = require('pdf-lib');
+const { signingIdentity, addSignaturePlaceholder, signDocument } = require('./signing');
+const { encryptDocument } = require('./encryption');
+const { convertToPdfA, pdfaProblems } = require('./pdfa');
+const { applyMetadata } = require('./metadata');
+
+/**
+ * Turn the PDF Chromium rendered into the file we issue
+ *
+ * Steps that rewrite the file run in one pdf-lib pass, in this order:
+ *   1. document properties (shared/metadata.js)
+ *   2. PDF/A-2b conversion (shared/pdfa.js), for archival letters
+ *   3. signature field (shared/signing.js), when a certificate is configured
+ *   4. encryption (shared/encryption.js), when the letter asks for it
+ * and the signature is computed last, over the saved bytes.
+ * @param {Buffer} pdfBuffer - from generatePDF()
+ * @param {object} options
+ * @param {object|null} options.metadata - from letterMetadata()
+ * @param {object} options.signing - reason, location, contactInfo for the signature panel
+ * @param {object|null} options.encryption - from resolveEncryption()
+ * @param {boolean} options.archival - from resolveArchival()
+ * @param {object} [overrides]
+ * @param {object|null} [overrides.identity] - signing identity; defaults to the configured one
+ * @returns {Promise<Buffer>}
+ */
+async function finishPDF(pdfBuffer, { metadata = null, signing, encryption = null, archival = false }, { identity = signingIdentity() } = {}) {
+  if (archival && encryption) throw new Error('PDF/A letters cannot be encrypted');
+  if (!identity) console.warn('PDF signing is not configured (PDF_SIGNING_P12) - letter issued unsigned');
+  if (!metadata && !identity && !encryption && !archival) return pdfBuffer;
+
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  if (metadata) applyMetadata(pdfDoc, metadata);
+  if (archival) convertToPdfA(pdfDoc);
+  if (identity) addSignaturePlaceholder(pdfDoc, signing, identity);
+  if (encryption) encryptDocument(pdfDoc, encryption);
+
+  const saved = Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+  if (archival) {
+    // Issued anyway: a letter is still valid if an archive would reject it
+    const problems = await pdfaProblems(saved);
+    if (problems.length > 0) console.warn(`Letter is not PDF/A-2b conformant: ${problems.join('; ')}`);
+  }
+  return identity ? signDocument(saved, identity) : saved;
+}
+
+module.exports = {
+  finishPDF
+};
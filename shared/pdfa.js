@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+  PDFDocument, PDFHeader, PDFDict, PDFArray, PDFName, PDFNumber, PDFBool, PDFString, PDFHexString, PDFStream
+} = require('pdf-lib');
+const { HttpError } = require('./errors');
+const { INFO_PROPERTIES, readInfo, writeXmp } = require('./metadata');
+
+/**
+ * PDF/A-2b archival output
+ *
+ * A letter type's `archival: true` in shared/registry.js, or `archival` in
+ * the payload, turns the PDF Chromium rendered into PDF/A-2b:
+ *   - XMP metadata declaring PDF/A-2b (shared/metadata.js)
+ *   - an sRGB output intent (assets/color/sRGB2014.icc)
+ *   - a file ID, print flags on annotations, no image interpolation
+ * Chromium already embeds every font and the templates load nothing remote
+ * (shared/assets.js). PDF/A does not allow encryption, so an archival letter
+ * cannot be password protected.
+ *
+ * pdfaProblems() checks a file against the PDF/A-2b rules the letters can
+ * break; it runs on every archival letter and in test/pdfa.test.js.
+ */
+
+const ICC_PROFILE = path.join(__dirname, '..', 'assets', 'color', 'sRGB2014.icc');
+
+let iccProfile;
+const srgbProfile = () => {
+  if (!iccProfile) iccProfile = fs.readFileSync(ICC_PROFILE);
+  return iccProfile;
+};
+
+// Schemas PDF/A readers know; any other namespace needs a pdfaExtension schema
+const XMP_NAMESPACES = [
+  'adobe:ns:meta/',
+  'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  'http://purl.org/dc/elements/1.1/',
+  'http://ns.adobe.com/xap/1.0/',
+  'http://ns.adobe.com/xap/1.0/mm/',
+  'http://ns.adobe.com/xap/1.0/rights/',
+  'http://ns.adobe.com/pdf/1.3/',
+  'http://ns.adobe.com/photoshop/1.0/',
+  'http://www.aiim.org/pdfa/ns/id/',
+  'http://www.aiim.org/pdfa/ns/extension/',
+  'http://www.aiim.org/pdfa/ns/schema#',
+  'http://www.aiim.org/pdfa/ns/property#'
+];
+
+const FORBIDDEN_ACTIONS = ['Launch', 'Sound', 'Movie', 'ResetForm', 'ImportData', 'Hide', 'SetOCGState', 'Rendition', 'Trans', 'GoTo3DView', 'JavaScript'];
+const FORBIDDEN_ANNOTATIONS = ['Sound', 'Movie', 'Screen', '3D', 'RichMedia', 'FileAttachment'];
+
+// Annotation flags (ISO 32000-1 table 165)
+const ANNOTATION_FLAGS = { invisible: 1, hidden: 2, print: 4, noView: 32, toggleNoView: 256 };
+const HIDDEN_FLAGS = ANNOTATION_FLAGS.invisible | ANNOTATION_FLAGS.hidden | ANNOTATION_FLAGS.noView | ANNOTATION_FLAGS.toggleNoView;
+
+/**
+ * Whether a letter is issued as PDF/A-2b
+ * Throws HttpError 400 for a non-boolean request or an archival letter with encryption
+ * @param {object|null} encryption - from resolveEncryption()
+ */
+function resolveArchival(letter, data, encryption) {
+  const archival = data.archival === undefined ? Boolean(letter.archival) : data.archival;
+  if (typeof archival !== 'boolean') {
+    throw new HttpError(400, { error: 'Invalid archival', message: 'archival must be true or false', success: false });
+  }
+  if (archival && encryption) {
+    throw new HttpError(400, {
+      error: 'Archival letters cannot be encrypted',
+      message: 'PDF/A does not allow encryption; send archival: false or leave out encryption',
+      success: false
+    });
+  }
+  return archival;
+}
+
+const xmlUnescape = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&#(x?)([0-9a-f]+);/gi, (match, hex, code) => String.fromCodePoint(parseInt(code, hex ? 16 : 10)))
+  .replace(/&amp;/g, '&');
+
+// Every dictionary in the file: indirect objects, stream dictionaries and the dictionaries inside them
+function* dictionaries(context) {
+  const visit = function* (object) {
+    if (object instanceof PDFStream) {
+      yield* visit(object.dict);
+    } else if (object instanceof PDFDict) {
+      yield object;
+      for (const value of object.values()) yield* visit(value);
+    } else if (object instanceof PDFArray) {
+      for (const value of object.asArray()) yield* visit(value);
+    }
+  };
+  for (const [, object] of context.enumerateIndirectObjects()) yield* visit(object);
+}
+
+/**
+ * Convert a pdf-lib document to PDF/A-2b in place; call before the
+ * signature placeholder and save()
+ */
+function convertToPdfA(pdfDoc) {
+  const { context, catalog } = pdfDoc;
+  context.header = PDFHeader.forVersion(1, 7);
+  writeXmp(pdfDoc, { pdfa: true });
+
+  catalog.set(PDFName.of('OutputIntents'), context.obj([{
+    Type: 'OutputIntent',
+    S: 'GTS_PDFA1',
+    OutputConditionIdentifier: PDFString.of('sRGB IEC61966-2.1'),
+    Info: PDFString.of('sRGB IEC61966-2.1'),
+    DestOutputProfile: context.register(context.flateStream(srgbProfile(), { N: 3 }))
+  }]));
+
+  for (const dict of dictionaries(context)) {
+    if (dict.get(PDFName.of('Subtype')) === PDFName.of('Image')) dict.delete(PDFName.of('Interpolate'));
+    if (dict.get(PDFName.of('Type')) === PDFName.of('Annot')) {
+      const flags = dict.lookupMaybe(PDFName.of('F'), PDFNumber);
+      const value = flags ? flags.asNumber() : 0;
+      dict.set(PDFName.of('F'), PDFNumber.of((value & ~HIDDEN_FLAGS) | ANNOTATION_FLAGS.print));
+    }
+  }
+
+  if (!context.trailerInfo.ID) {
+    const id = PDFHexString.of(crypto.randomBytes(16).toString('hex'));
+    context.trailerInfo.ID = context.obj([id, id]);
+  }
+}
+
+/**
+ * Value of a simple or language-alternative XMP property, or undefined
+ */
+const xmpProperty = (xmp, name) => {
+  const attribute = new RegExp(`\\s${name}="([^"]*)"`).exec(xmp);
+  if (attribute) return xmlUnescape(attribute[1]);
+  const element = new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`).exec(xmp);
+  if (!element) return undefined;
+  const item = /<rdf:li(?:\s[^>]*)?>([\s\S]*?)<\/rdf:li>/.exec(element[1]);
+  return xmlUnescape(item ? item[1] : element[1]);
+};
+
+const pdfName = (dict, key) => {
+  const value = dict.get(PDFName.of(key));
+  return value instanceof PDFName ? value.decodeText() : undefined;
+};
+
+/**
+ * Problems that stop a file from being PDF/A-2b, as messages; empty when it conforms
+ * Covers the rules a Chromium-rendered letter can break: header and file ID,
+ * encryption, XMP metadata and its match with the info dictionary, the output
+ * intent, font embedding, external content, actions and annotations.
+ * A full validator (veraPDF) checks more, such as the font programs themselves.
+ * @param {Buffer} pdfBuffer
+ * @returns {Promise<string[]>}
+ */
+async function pdfaProblems(pdfBuffer) {
+  const problems = [];
+  const problem = (message) => { if (!problems.includes(message)) problems.push(message); };
+
+  const [header, comment] = pdfBuffer.subarray(0, 64).toString('latin1').split(/\r\n|\r|\n/);
+  if (!/^%PDF-1\.[0-7]$/.test(header)) problem('header is not %PDF-1.0 to %PDF-1.7');
+  if (!comment || comment[0] !== '%' || [...comment.slice(1, 5)].filter(char => char.charCodeAt(0) > 127).length < 4) {
+    problem('header is not followed by a binary comment');
+  }
+
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { ignoreEncryption: true, updateMetadata: false });
+  const { context, catalog } = pdfDoc;
+
+  if (context.trailerInfo.Encrypt) problem('file is encrypted');
+  const id = context.lookupMaybe(context.trailerInfo.ID, PDFArray);
+  if (!id || id.size() !== 2) problem('trailer has no file ID');
+
+  const metadata = catalog.lookupMaybe(PDFName.of('Metadata'), PDFStream);
+  if (!metadata) {
+    problem('catalog has no XMP metadata');
+  } else if (metadata.dict.has(PDFName.of('Filter'))) {
+    problem('XMP metadata stream is compressed');
+  } else {
+    const xmp = Buffer.from(metadata.getContents()).toString('utf8');
+    if (xmpProperty(xmp, 'pdfaid:part') !== '2') problem('XMP does not declare pdfaid:part 2');
+    if (!['A', 'B', 'U'].includes(xmpProperty(xmp, 'pdfaid:conformance'))) problem('XMP does not declare a pdfaid:conformance level');
+
+    const info = readInfo(pdfDoc);
+    for (const [key, property] of Object.entries(INFO_PROPERTIES)) {
+      if (info[key] === undefined) continue;
+      const value = xmpProperty(xmp, property);
+      const matches = key.endsWith('Date')
+        ? value !== undefined && new Date(value).getTime() === info[key].getTime()
+        : value === info[key];
+      if (!matches) problem(`info ${key} does not match XMP ${property}`);
+    }
+
+    const extensions = [...xmp.matchAll(/pdfaSchema:namespaceURI(?:="|>)([^"<]+)/g)].map(match => match[1]);
+    for (const [, uri] of xmp.matchAll(/xmlns:[\w-]+="([^"]+)"/g)) {
+      if (!XMP_NAMESPACES.includes(uri) && !extensions.includes(uri)) problem(`XMP namespace ${uri} has no extension schema`);
+    }
+  }
+
+  const intents = catalog.lookupMaybe(PDFName.of('OutputIntents'), PDFArray);
+  const pdfaIntent = intents && intents.asArray()
+    .map(intent => context.lookupMaybe(intent, PDFDict))
+    .find(intent => intent && pdfName(intent, 'S') === 'GTS_PDFA1');
+  if (!pdfaIntent) {
+    problem('catalog has no GTS_PDFA1 output intent');
+  } else {
+    const profile = pdfaIntent.lookupMaybe(PDFName.of('DestOutputProfile'), PDFStream);
+    if (!profile || !profile.dict.lookupMaybe(PDFName.of('N'), PDFNumber)) problem('output intent has no ICC profile');
+  }
+
+  if (catalog.has(PDFName.of('AA'))) problem('catalog has additional actions');
+  const names = catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+  if (names && names.has(PDFName.of('JavaScript'))) problem('document has JavaScript');
+  if (names && names.has(PDFName.of('EmbeddedFiles'))) problem('document has embedded files');
+
+  for (const dict of dictionaries(context)) {
+    const type = pdfName(dict, 'Type');
+    const subtype = pdfName(dict, 'Subtype');
+
+    if (['F', 'FFilter', 'FDecodeParms'].some(key => dict.has(PDFName.of(key))) && dict.has(PDFName.of('Length'))) {
+      problem('stream content is stored in an external file');
+    }
+    const filters = dict.get(PDFName.of('Filter'));
+    if ([filters, ...(filters instanceof PDFArray ? filters.asArray() : [])].some(filter => filter === PDFName.of('LZWDecode'))) {
+      problem('stream uses LZWDecode');
+    }
+
+    // Type0 fonts are checked through their descendant CIDFont
+    if (type === 'Font' && subtype !== 'Type0' && subtype !== 'Type3') {
+      const descriptor = dict.lookupMaybe(PDFName.of('FontDescriptor'), PDFDict);
+      const embedded = descriptor && ['FontFile', 'FontFile2', 'FontFile3'].some(key => descriptor.has(PDFName.of(key)));
+      if (!embedded) problem(`font ${pdfName(dict, 'BaseFont') || '(unnamed)'} is not embedded`);
+    }
+
+    if (subtype === 'Image') {
+      if (dict.get(PDFName.of('Interpolate')) === PDFBool.True) problem('image has Interpolate set');
+      if (dict.has(PDFName.of('Alternates')) || dict.has(PDFName.of('OPI'))) problem('image has alternates or OPI');
+    }
+    if (type === 'XObject' || subtype === 'Form' || subtype === 'PS') {
+      if (subtype === 'PS') problem('document has a PostScript XObject');
+      if (dict.has(PDFName.of('Ref'))) problem('form XObject references an external file');
+      if (dict.has(PDFName.of('OPI'))) problem('form XObject has OPI');
+    }
+
+    const tr2 = dict.get(PDFName.of('TR2'));
+    if (dict.has(PDFName.of('TR')) || (tr2 && tr2 !== PDFName.of('Default'))) problem('graphics state has a transfer function');
+
+    const action = pdfName(dict, 'S');
+    if (FORBIDDEN_ACTIONS.includes(action)) problem(`document has a ${action} action`);
+    if (type === 'Page' && dict.has(PDFName.of('AA'))) problem('page has additional actions');
+
+    if (type === 'Annot') {
+      if (FORBIDDEN_ANNOTATIONS.includes(subtype)) problem(`document has a ${subtype} annotation`);
+      if (subtype === 'Popup') continue;
+      const flags = dict.lookupMaybe(PDFName.of('F'), PDFNumber);
+      const value = flags ? flags.asNumber() : 0;
+      if (!(value & ANNOTATION_FLAGS.print) || (value & HIDDEN_FLAGS)) problem(`${subtype} annotation is not set to print`);
+      if (subtype === 'Widget' && dict.has(PDFName.of('AA'))) problem('form field has additional actions');
+
+      const appearance = dict.lookupMaybe(PDFName.of('AP'), PDFDict);
+      const rect = dict.lookupMaybe(PDFName.of('Rect'), PDFArray);
+      const [x1, y1, x2, y2] = rect ? rect.asArray().map(number => number.asNumber()) : [0, 0, 0, 0];
+      const hasArea = x1 !== x2 && y1 !== y2;
+      if (appearance && appearance.keys().some(key => key !== PDFName.of('N'))) problem(`${subtype} annotation has appearances other than N`);
+      if (!appearance && hasArea && subtype !== 'Link') problem(`${subtype} annotation has no appearance`);
+    }
+  }
+
+  return problems;
+}
+
+module.exports = {
+  resolveArchival,
+  convertToPdfA,
+  pdfaProblems
+};
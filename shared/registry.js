@@ -0,0 +1,93 @@
+/**
+ * Letter types served by POST /letters/:type
+ *
+ * A letter type is a config entry:
+ *   title          - HubSpot note label and document title; the printed title is
+ *                    `titles.<type>` in each message catalog (see shared/language.js)
+ *   template       - letter body in templates/<template>.ejs (defaults to the type key)
+ *   filePrefix     - HubSpot file name prefix
+ *   source         - 'payload' (one enrollment in the webhook body) or
+ *                    'associations' (every enrollment associated with the contact)
+ *   legacyRoute    - pre-registry URL still called by HubSpot workflows; must match
+ *                    the alias in vercel.json (used to verify v2/v3 signatures)
+ *   selection      - 'associations' only: which enrollments are listed and in what
+ *                    order (see shared/selection.js); callers can override per request
+ *   encryption     - optional password protection and permissions (see
+ *                    shared/encryption.js); callers can add or override it per request
+ *   archival       - true to issue PDF/A-2b (see shared/pdfa.js); cannot be combined
+ *                    with encryption; callers can override it per request
+ *
+ * Adding a letter means adding an entry here and its title to every
+ * config/locales/*.json (plus a template and its `bodies` message if the
+ * wording differs); the legacy routes in vercel.json are aliases onto these keys.
+ * Which courses a letter type may list is set per course in config/courses.json.
+ */
+const LETTER_TYPES = {
+  enrollment: {
+    title: 'Letter of Enrollment',
+    filePrefix: 'Letter_of_Enrollment',
+    source: 'payload',
+    legacyRoute: '/generatePDF'
+  },
+  acceptance: {
+    title: 'Letter of Acceptance',
+    filePrefix: 'Letter_of_Acceptance',
+    source: 'payload',
+    legacyRoute: '/generateLOA'
+  },
+  completion: {
+    title: 'Letter of Completion',
+    filePrefix: 'Letter_of_Completion',
+    source: 'payload',
+    legacyRoute: '/generateLOC'
+  },
+  'enrollment-all': {
+    title: 'Letter of Enrollment',
+    template: 'enrollment',
+    filePrefix: 'Letter_of_Enrollment',
+    source: 'associations',
+    legacyRoute: '/generatePDFAllEnroll',
+    selection: { maxCount: 8, sortBy: 'createdate', order: 'desc' }
+  },
+  'completion-all': {
+    title: 'Letter of Completion',
+    filePrefix: 'Letter_of_Completion',
+    source: 'associations',
+    legacyRoute: '/generatePDFAllCompletion',
+    // Only courses that have finished by the letter's date
+    selection: { maxCount: 8, sortBy: 'createdate', order: 'desc', window: 'ended' }
+  },
+  'roadmap-acceptance': {
+    title: 'Letter of Roadmap Acceptance',
+    filePrefix: 'Letter_of_Roadmap_Acceptance',
+    source: 'associations',
+    legacyRoute: '/generatePDFAcceptRoadmap',
+    selection: { maxCount: 8, sortBy: 'createdate', order: 'desc' }
+  }
+};
+
+const REQUIRED_KEYS = ['title', 'filePrefix', 'source'];
+
+// Fail at cold start rather than on the first request for a broken entry
+for (const [type, letter] of Object.entries(LETTER_TYPES)) {
+  const missing = REQUIRED_KEYS.filter(key => !letter[key]);
+  if (missing.length > 0) {
+    throw new Error(`Letter type "${type}" is missing: ${missing.join(', ')}`);
+  }
+}
+
+/**
+ * Look up a letter type by key; returns null when unknown
+ */
+const getLetterType = (type) => {
+  if (!type || !Object.prototype.hasOwnProperty.call(LETTER_TYPES, type)) return null;
+  return { type, template: type, ...LETTER_TYPES[type] };
+};
+
+const listLetterTypes = () => Object.keys(LETTER_TYPES);
+
+module.exports = {
+  LETTER_TYPES,
+  getLetterType,
+  listLetterTypes
+};
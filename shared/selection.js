@@ -0,0 +1,127 @@
+const { HttpError } = require('./errors');
+const { listCourseCodes } = require('./courses');
+const { findLocation } = require('./locations');
+
+/**
+ * Which associated enrollments a multi-course letter lists
+ *
+ * A selection comes from the letter type's `selection` in shared/registry.js,
+ * with any fields the caller sends as `selection` in the payload on top:
+ *   maxCount     - most courses listed (1-MAX_LISTED_ENROLLMENTS)
+ *   sortBy       - createdate | course_start_date | course_end_date
+ *   order        - desc (newest first) | asc
+ *   window       - any | ended (course ends on or before the issue date)
+ *                  | not-ended (ends on or after the issue date)
+ *   includeCodes - only these catalog codes
+ *   excludeCodes - never these catalog codes
+ *   locations    - only enrollments at these campuses (keys or aliases)
+ * Course eligibility (config/courses.json letterTypes) always applies first.
+ */
+
+// Most courses a letter may list; long lists continue onto further pages
+const MAX_LISTED_ENROLLMENTS = 50;
+
+const DEFAULT_SELECTION = {
+  maxCount: 8,
+  sortBy: 'createdate',
+  order: 'desc',
+  window: 'any'
+};
+
+const SORT_KEYS = ['createdate', 'course_start_date', 'course_end_date'];
+const ORDERS = ['asc', 'desc'];
+const WINDOWS = ['any', 'ended', 'not-ended'];
+const FIELDS = ['maxCount', 'sortBy', 'order', 'window', 'includeCodes', 'excludeCodes', 'locations'];
+
+/**
+ * Problems with a selection, as messages; empty when it is valid
+ */
+function selectionErrors(selection) {
+  if (!selection || typeof selection !== 'object' || Array.isArray(selection)) return ['selection must be an object'];
+
+  const errors = Object.keys(selection)
+    .filter(field => !FIELDS.includes(field))
+    .map(field => `unknown field "${field}"`);
+
+  const { maxCount, sortBy, order, window, includeCodes, excludeCodes, locations } = selection;
+  if (maxCount !== undefined && !(Number.isInteger(maxCount) && maxCount >= 1 && maxCount <= MAX_LISTED_ENROLLMENTS)) {
+    errors.push(`maxCount must be a whole number from 1 to ${MAX_LISTED_ENROLLMENTS}`);
+  }
+  if (sortBy !== undefined && !SORT_KEYS.includes(sortBy)) errors.push(`sortBy must be one of ${SORT_KEYS.join(', ')}`);
+  if (order !== undefined && !ORDERS.includes(order)) errors.push(`order must be one of ${ORDERS.join(', ')}`);
+  if (window !== undefined && !WINDOWS.includes(window)) errors.push(`window must be one of ${WINDOWS.join(', ')}`);
+
+  for (const [field, values, isKnown] of [
+    ['includeCodes', includeCodes, code => listCourseCodes().includes(code)],
+    ['excludeCodes', excludeCodes, code => listCourseCodes().includes(code)],
+    ['locations', locations, value => Boolean(findLocation(value))]
+  ]) {
+    if (values === undefined) continue;
+    if (!Array.isArray(values) || values.length === 0) {
+      errors.push(`${field} must be a non-empty list`);
+      continue;
+    }
+    const unknown = values.filter(value => !isKnown(value));
+    if (unknown.length > 0) errors.push(`${field} has unknown values: ${unknown.join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * The selection for one request: defaults, then the letter type's, then the caller's
+ * Throws HttpError 400 for an invalid caller selection
+ */
+function resolveSelection(letter, requested) {
+  if (requested !== undefined) {
+    const errors = selectionErrors(requested);
+    if (errors.length > 0) {
+      throw new HttpError(400, { error: 'Invalid selection', details: errors, success: false });
+    }
+  }
+
+  const selection = { ...DEFAULT_SELECTION, ...letter.selection, ...requested };
+  if (selection.locations) {
+    selection.locations = selection.locations.map(value => findLocation(value).key);
+  }
+  return selection;
+}
+
+/**
+ * Apply a selection to a letter's candidate courses
+ * @param {Array<object>} courses - { code, startDate, endDate, createDate, campusKey }
+ *   with dates as YYYY-MM-DD (createDate as a Date)
+ * @param {object} selection - from resolveSelection()
+ * @param {string} issueDate - YYYY-MM-DD the letter is dated
+ */
+function selectCourses(courses, selection, issueDate) {
+  const { maxCount, sortBy, order, window, includeCodes, excludeCodes, locations } = selection;
+
+  const sortValue = {
+    createdate: course => course.createDate.toISOString(),
+    course_start_date: course => course.startDate,
+    course_end_date: course => course.endDate
+  }[sortBy];
+
+  const selected = courses.filter(course =>
+    (window !== 'ended' || course.endDate <= issueDate) &&
+    (window !== 'not-ended' || course.endDate >= issueDate) &&
+    (!includeCodes || includeCodes.includes(course.code)) &&
+    (!excludeCodes || !excludeCodes.includes(course.code)) &&
+    (!locations || locations.includes(course.campusKey))
+  );
+
+  return selected
+    .sort((a, b) => {
+      const diff = sortValue(a) < sortValue(b) ? -1 : sortValue(a) > sortValue(b) ? 1 : 0;
+      return order === 'asc' ? diff : -diff;
+    })
+    .slice(0, maxCount);
+}
+
+module.exports = {
+  MAX_LISTED_ENROLLMENTS,
+  selectionErrors,
+  resolveSelection,
+  selectCourses
+};
@@ -0,0 +1,101 @@
+const registry = require('../config/signatories.json');
+const { listLetterTypes } = require('./registry');
+const { isIsoDate } = require('./format');
+const { isAssetPath } = require('./assets');
+const { isLanguage, languageChain } = require('./language');
+
+/**
+ * Signatory registry (config/signatories.json)
+ *
+ * `signatories` describes each person who signs letters (name, title and
+ * `titles` in other letter languages, contact line, signature image in
+ * assets/). `assignments` is an ordered list of rules;
+ * the first rule whose conditions all match the letter picks the signatory:
+ *   letterTypes - letter type keys from shared/registry.js
+ *   locations   - campus keys from config/locations.json
+ *   from, until - inclusive YYYY-MM-DD bounds on the letter's issue date
+ * Put specific rules first; the registry must end with an unconditional rule.
+ */
+
+const REQUIRED_FIELDS = ['name', 'title', 'phone', 'email', 'signature'];
+
+const isUnconditional = (rule) => !rule.letterTypes && !rule.locations && !rule.from && !rule.until;
+
+/**
+ * Validate the registry; throws on unknown references, bad dates or a
+ * missing catch-all so mistakes surface at cold start
+ */
+function loadSignatories({ version, signatories, assignments }, { locationKeys } = {}) {
+  if (!version) throw new Error('Signatory registry is missing a version');
+
+  for (const [key, signatory] of Object.entries(signatories)) {
+    const missing = REQUIRED_FIELDS.filter(field => !signatory[field]);
+    if (missing.length > 0) {
+      throw new Error(`Signatory registry ${version}: ${key} is missing ${missing.join(', ')}`);
+    }
+    if (!isAssetPath(signatory.signature)) {
+      throw new Error(`Signatory registry ${version}: ${key} signature must be an image path inside assets/`);
+    }
+    const unknownLanguages = Object.keys(signatory.titles || {}).filter(language => !isLanguage(language));
+    if (unknownLanguages.length > 0) {
+      throw new Error(`Signatory registry ${version}: ${key} has titles for unknown languages: ${unknownLanguages.join(', ')}`);
+    }
+  }
+
+  for (const [position, rule] of assignments.entries()) {
+    const where = `Signatory registry ${version}: assignment ${position + 1}`;
+    if (!signatories[rule.signatory]) throw new Error(`${where} refers to unknown signatory "${rule.signatory}"`);
+
+    const unknownTypes = (rule.letterTypes || []).filter(type => !listLetterTypes().includes(type));
+    if (unknownTypes.length > 0) throw new Error(`${where} lists unknown letter types: ${unknownTypes.join(', ')}`);
+
+    const unknownLocations = locationKeys ? (rule.locations || []).filter(key => !locationKeys.includes(key)) : [];
+    if (unknownLocations.length > 0) throw new Error(`${where} lists unknown locations: ${unknownLocations.join(', ')}`);
+
+    for (const bound of ['from', 'until']) {
+      if (rule[bound] && !isIsoDate(rule[bound])) throw new Error(`${where} ${bound} must be YYYY-MM-DD`);
+    }
+    if (rule.from && rule.until && rule.from > rule.until) throw new Error(`${where} ends before it starts`);
+  }
+
+  if (!assignments.length || !isUnconditional(assignments[assignments.length - 1])) {
+    throw new Error(`Signatory registry ${version}: the last assignment must have no conditions`);
+  }
+
+  return { version, signatories, assignments };
+}
+
+const REGISTRY = loadSignatories(registry, {
+  locationKeys: require('../config/locations.json').locations.map(l => l.key)
+});
+
+/**
+ * Pick who signs a letter
+ * @param {object} letter
+ * @param {string} letter.letterType - letter type key
+ * @param {string} letter.location - campus key
+ * @param {string} letter.issueDate - YYYY-MM-DD the letter is dated
+ * @returns {object} signatory with its registry `key`
+ */
+function resolveSignatory({ letterType, location, issueDate }, { registry: { signatories, assignments } = REGISTRY } = {}) {
+  const rule = assignments.find((candidate) =>
+    (!candidate.letterTypes || candidate.letterTypes.includes(letterType)) &&
+    (!candidate.locations || candidate.locations.includes(location)) &&
+    (!candidate.from || issueDate >= candidate.from) &&
+    (!candidate.until || issueDate <= candidate.until)
+  );
+
+  return { key: rule.signatory, ...signatories[rule.signatory] };
+}
+
+/**
+ * A signatory's title in a letter language
+ */
+const signatoryTitle = (signatory, language) =>
+  languageChain(language).map(tag => signatory.titles && signatory.titles[tag]).find(Boolean) || signatory.title;
+
+module.exports = {
+  loadSignatories,
+  resolveSignatory,
+  signatoryTitle
+};
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+
+// HubSpot rejects v3 requests older than 5 minutes; we do the same
+const MAX_TIMESTAMP_AGE_MS = 5 * 60 * 1000;
+
+// v1 and v2 carry no timestamp, so a captured request could be replayed forever;
+// they are only accepted when listed explicitly
+const SIGNATURE_VERSIONS = ['v1', 'v2', 'v3'];
+const DEFAULT_VERSIONS = ['v3'];
+
+// Characters HubSpot decodes in the URI before signing v3 requests
+const V3_DECODED_CHARACTERS = {
+  '%3A': ':', '%2F': '/', '%3F': '?', '%40': '@', '%21': '!', '%24': '$',
+  '%27': "'", '%28': '(', '%29': ')', '%2A': '*', '%2C': ',', '%3B': ';'
+};
+
+// v3 signatures seen recently by this instance, to refuse replays inside the freshness window
+const seenSignatures = new Map();
+
+const header = (req, name) => {
+  const value = req.headers[name.toLowerCase()];
+  return Array.isArray(value) ? value[0] : value;
+};
+
+const sha256Hex = (value) => crypto.createHash('sha256').update(value, 'utf8').digest('hex');
+
+const hmacBase64 = (secret, value) => crypto.createHmac('sha256', secret).update(value, 'utf8').digest('base64');
+
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+const decodeV3Uri = (uri) => uri.replace(/%3A|%2F|%3F|%40|%21|%24|%27|%28|%29|%2A|%2C|%3B/gi, (match) => V3_DECODED_CHARACTERS[match.toUpperCase()]);
+
+/**
+ * Request body exactly as HubSpot signed it, as a UTF-8 string
+ * Read from the request stream: Vercel only parses req.body when it is
+ * accessed and keeps the original bytes readable, so handlers that verify
+ * signatures must parse the body from this string and never touch req.body.
+ */
+function readRawBody(req) {
+  if (typeof req.rawBody === 'string' || Buffer.isBuffer(req.rawBody)) return Promise.resolve(req.rawBody.toString('utf8'));
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(Buffer.from(chunk)));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Signature versions from a comma-separated list, e.g. HUBSPOT_SIGNATURE_VERSIONS
+ * Defaults to v3 only; throws on versions HubSpot does not have
+ */
+function parseSignatureVersions(value) {
+  if (!value) return DEFAULT_VERSIONS;
+  const versions = value.split(',').map(version => version.trim().toLowerCase()).filter(Boolean);
+  const unknown = versions.filter(version => !SIGNATURE_VERSIONS.includes(version));
+  if (versions.length === 0 || unknown.length > 0) {
+    throw new Error(`Signature versions must be a list of ${SIGNATURE_VERSIONS.join(', ')}; got "${value}"`);
+  }
+  return versions;
+}
+
+const forgeRejection = (reason) => new HttpError(401, { error: 'Invalid webhook signature', reason, success: false });
+
+const rememberSignature = (signature, now) => {
+  for (const [seen, expiresAt] of seenSignatures) {
+    if (expiresAt <= now) seenSignatures.delete(seen);
+  }
+  if (seenSignatures.has(signature)) return false;
+  seenSignatures.set(signature, now + MAX_TIMESTAMP_AGE_MS);
+  return true;
+};
+
+/**
+ * Verify the HubSpot signature headers on a webhook request
+ * Supports v3 (X-HubSpot-Signature-v3), and v1 and v2 (X-HubSpot-Signature)
+ * when allowed.
+ * Throws HttpError 401 when the request is unsigned, forged or stale.
+ *
+ * @param {object} req - incoming request
+ * @param {object} options
+ * @param {string} options.clientSecret - HubSpot app client secret
+ * @param {string[]} options.uris - full URLs the request may have been sent to (rewrites change req.url)
+ * @param {string} options.body - raw request body, from readRawBody()
+ * @param {string[]} [options.allowedVersions] - signature versions to accept (default v3 only)
+ * @param {number} [options.now] - current time in ms, for tests
+ */
+function verifyHubSpotSignature(req, { clientSecret, uris, body, allowedVersions = DEFAULT_VERSIONS, now = Date.now() }) {
+  const method = req.method.toUpperCase();
+
+  const signatureV3 = header(req, 'X-HubSpot-Signature-v3');
+  if (signatureV3) {
+    if (!allowedVersions.includes('v3')) throw forgeRejection('Signature version v3 is not accepted');
+
+    const timestamp = Number(header(req, 'X-HubSpot-Request-Timestamp'));
+    if (!Number.isFinite(timestamp)) throw forgeRejection('Missing or invalid X-HubSpot-Request-Timestamp');
+    if (Math.abs(now - timestamp) > MAX_TIMESTAMP_AGE_MS) throw forgeRejection('Request timestamp is outside the allowed window');
+
+    const matches = uris.some((uri) => safeEqual(hmacBase64(clientSecret, `${method}${decodeV3Uri(uri)}${body}${timestamp}`), signatureV3));
+    if (!matches) throw forgeRejection('Signature does not match');
+    if (!rememberSignature(signatureV3, now)) throw forgeRejection('Request has already been processed');
+    return 'v3';
+  }
+
+  const signature = header(req, 'X-HubSpot-Signature');
+  if (!signature) throw forgeRejection('Missing X-HubSpot-Signature header');
+
+  const version = (header(req, 'X-HubSpot-Signature-Version') || 'v1').toLowerCase();
+  if (!allowedVersions.includes(version)) throw forgeRejection(`Signature version ${version} is not accepted`);
+
+  let matches;
+  if (version === 'v1') {
+    matches = safeEqual(sha256Hex(`${clientSecret}${body}`), signature);
+  } else if (version === 'v2') {
+    matches = uris.some((uri) => safeEqual(sha256Hex(`${clientSecret}${method}${uri}${body}`), signature));
+  } else {
+    throw forgeRejection(`Unsupported signature version ${version}`);
+  }
+
+  if (!matches) throw forgeRejection('Signature does not match');
+  return version;
+}
+
+/**
+ * Full URLs HubSpot may have called for this request
+ * @param {object} req - incoming request
+ * @param {string[]} paths - public paths routed to this handler
+ */
+function candidateUris(req, paths) {
+  const host = header(req, 'x-forwarded-host') || header(req, 'host');
+  const proto = (header(req, 'x-forwarded-proto') || 'https').split(',')[0].trim();
+  const base = `${proto}://${host}`;
+  return [...new Set([req.url, ...paths].filter(Boolean).map((path) => `${base}${path}`))];
+}
+
+module.exports = {
+  readRawBody,
+  parseSignatureVersions,
+  verifyHubSpotSignature,
+  candidateUris
+};
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const forge = require('node-forge');
+const { PDFName, PDFString, PDFHexString, PDFDict } = require('pdf-lib');
+const { SignPdf, Signer } = require('@signpdf/signpdf');
+const { SUBFILTER_ETSI_CADES_DETACHED, DEFAULT_BYTE_RANGE_PLACEHOLDER, ANNOTATION_FLAGS, SIG_FLAGS } = require('@signpdf/utils');
+
+/**
+ * Digital signatures for issued letters
+ *
+ * Letters are signed with the organization certificate in a PKCS#12 file
+ * (PDF_SIGNING_P12, a path relative to the project root, or
+ * PDF_SIGNING_P12_BASE64) unlocked with PDF_SIGNING_PASSPHRASE. The
+ * signature is a detached CMS (PAdES baseline B-B, ETSI.CAdES.detached)
+ * over the whole file, so Acrobat shows it in the signature panel and any
+ * later edit invalidates it. Without a certificate, letters are issued
+ * unsigned. shared/pdf.js decides when to sign.
+ */
+
+const OIDS = {
+  data: forge.pki.oids.data,
+  signedData: forge.pki.oids.signedData,
+  contentType: forge.pki.oids.contentType,
+  messageDigest: forge.pki.oids.messageDigest,
+  sha256: forge.pki.oids.sha256,
+  rsaEncryption: forge.pki.oids.rsaEncryption,
+  // RFC 5035 ESS signing-certificate-v2, required by PAdES
+  signingCertificateV2: '1.2.840.113549.1.9.16.2.47'
+};
+
+// Bytes reserved for the CMS; room for the signing certificate and a chain of four more
+const SIGNATURE_BYTES = 8192;
+
+const { Class, Type } = forge.asn1;
+const asn1 = (type, value, tagClass = Class.UNIVERSAL) =>
+  forge.asn1.create(tagClass, type, Array.isArray(value), value);
+const oid = (value) => asn1(Type.OID, forge.asn1.oidToDer(value).getBytes());
+const algorithm = (value) => asn1(Type.SEQUENCE, [oid(value), asn1(Type.NULL, '')]);
+const octets = (buffer) => asn1(Type.OCTETSTRING, buffer.toString('binary'));
+const attribute = (type, value) => asn1(Type.SEQUENCE, [oid(type), asn1(Type.SET, [value])]);
+const der = (node) => Buffer.from(forge.asn1.toDer(node).getBytes(), 'binary');
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest();
+
+/**
+ * Read the signing key and certificates from a PKCS#12 file
+ * Throws when the passphrase is wrong or no certificate matches the key
+ * @returns {{ privateKey: crypto.KeyObject, certificate: object, chain: object[] }}
+ *   certificates as node-forge objects, the signing certificate first
+ */
+function loadSigningIdentity(p12, passphrase = '') {
+  const p12Asn1 = forge.asn1.fromDer(forge.util.createBuffer(p12.toString('binary')));
+  const store = forge.pkcs12.pkcs12FromAsn1(p12Asn1, false, passphrase);
+
+  const keyBags = [
+    ...(store.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag] || []),
+    ...(store.getBags({ bagType: forge.pki.oids.keyBag })[forge.pki.oids.keyBag] || [])
+  ];
+  const certificates = (store.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || []).map(bag => bag.cert);
+  if (keyBags.length === 0 || !keyBags[0].key) throw new Error('PKCS#12 file has no RSA private key');
+
+  const key = keyBags[0].key;
+  const certificate = certificates.find(cert => cert.publicKey.n && cert.publicKey.n.equals(key.n) && cert.publicKey.e.equals(key.e));
+  if (!certificate) throw new Error('PKCS#12 file has no certificate for its private key');
+
+  return {
+    privateKey: crypto.createPrivateKey(forge.pki.privateKeyToPem(key)),
+    certificate,
+    chain: [certificate, ...certificates.filter(cert => cert !== certificate)]
+  };
+}
+
+/**
+ * @signpdf signer producing a CAdES detached signature
+ * Signed attributes: content type, message digest and signing-certificate-v2;
+ * the signing time goes in the signature dictionary (/M) as PAdES requires
+ */
+class CadesSigner extends Signer {
+  constructor(identity) {
+    super();
+    this.identity = identity;
+  }
+
+  async sign(content) {
+    const { privateKey, certificate, chain } = this.identity;
+    const certificateDer = der(forge.pki.certificateToAsn1(certificate));
+
+    const signedAttributes = [
+      attribute(OIDS.contentType, oid(OIDS.data)),
+      attribute(OIDS.messageDigest, octets(sha256(content))),
+      attribute(OIDS.signingCertificateV2, asn1(Type.SEQUENCE, [
+        asn1(Type.SEQUENCE, [asn1(Type.SEQUENCE, [octets(sha256(certificateDer))])])
+      ]))
+    ];
+    // The signature covers the attributes DER-encoded as a SET (RFC 5652 5.4)
+    const signature = crypto.sign('sha256', der(asn1(Type.SET, signedAttributes)), privateKey);
+
+    const signerInfo = asn1(Type.SEQUENCE, [
+      asn1(Type.INTEGER, String.fromCharCode(1)),
+      asn1(Type.SEQUENCE, [
+        forge.pki.distinguishedNameToAsn1(certificate.issuer),
+        asn1(Type.INTEGER, forge.util.hexToBytes(certificate.serialNumber))
+      ]),
+      algorithm(OIDS.sha256),
+      asn1(0, signedAttributes, Class.CONTEXT_SPECIFIC),
+      algorithm(OIDS.rsaEncryption),
+      octets(signature)
+    ]);
+
+    const signedData = asn1(Type.SEQUENCE, [
+      asn1(Type.INTEGER, String.fromCharCode(1)),
+      asn1(Type.SET, [algorithm(OIDS.sha256)]),
+      asn1(Type.SEQUENCE, [oid(OIDS.data)]),
+      asn1(0, chain.map(cert => forge.pki.certificateToAsn1(cert)), Class.CONTEXT_SPECIFIC),
+      asn1(Type.SET, [signerInfo])
+    ]);
+
+    return der(asn1(Type.SEQUENCE, [oid(OIDS.signedData), asn1(0, [signedData], Class.CONTEXT_SPECIFIC)]));
+  }
+}
+
+let configured;
+
+/**
+ * The identity from PDF_SIGNING_P12 / PDF_SIGNING_P12_BASE64, null when
+ * neither is set; read once per warm instance
+ */
+function signingIdentity() {
+  if (configured === undefined) {
+    const { PDF_SIGNING_P12: file, PDF_SIGNING_P12_BASE64: base64, PDF_SIGNING_PASSPHRASE: passphrase } = process.env;
+    if (!file && !base64) {
+      configured = null;
+    } else {
+      const p12 = base64 ? Buffer.from(base64, 'base64') : fs.readFileSync(path.resolve(__dirname, '..', file));
+      configured = loadSigningIdentity(p12, passphrase);
+      const { subject, validity } = configured.certificate;
+      console.log(`PDF signing certificate: ${subject.getField('CN') ? subject.getField('CN').value : 'no CN'} (valid until ${validity.notAfter.toISOString()})`);
+      if (validity.notAfter < new Date()) console.warn('PDF signing certificate has expired - signatures will show as invalid');
+    }
+  }
+  return configured;
+}
+
+/**
+ * Add an invisible signature field with room for the signature; call before save()
+ * @param {object} pdfDoc - pdf-lib document
+ * @param {object} details - shown in the signature panel
+ * @param {string} details.reason - e.g. "Letter of Enrollment 7KQ2M-..."
+ * @param {string} details.location - campus
+ * @param {string} details.contactInfo - email for questions about the letter
+ * @param {object} identity - from loadSigningIdentity()
+ */
+function addSignaturePlaceholder(pdfDoc, { reason, location, contactInfo }, identity, signingTime = new Date()) {
+  const { context, catalog } = pdfDoc;
+  const page = pdfDoc.getPages()[0];
+  const commonName = identity.certificate.subject.getField('CN');
+  const placeholder = PDFName.of(DEFAULT_BYTE_RANGE_PLACEHOLDER);
+
+  const signature = context.register(context.obj({
+    Type: 'Sig',
+    Filter: 'Adobe.PPKLite',
+    SubFilter: SUBFILTER_ETSI_CADES_DETACHED,
+    ByteRange: [0, placeholder, placeholder, placeholder],
+    Contents: PDFHexString.of('0'.repeat(SIGNATURE_BYTES * 2)),
+    Reason: PDFString.of(reason),
+    M: PDFString.fromDate(signingTime),
+    ContactInfo: PDFString.of(contactInfo),
+    Name: PDFString.of(commonName ? commonName.value : 'Prep Doctors Institute'),
+    Location: PDFString.of(location),
+    Prop_Build: { Filter: { Name: 'Adobe.PPKLite' } }
+  }));
+
+  const widget = context.register(context.obj({
+    Type: 'Annot',
+    Subtype: 'Widget',
+    FT: 'Sig',
+    Rect: [0, 0, 0, 0],
+    V: signature,
+    T: PDFString.of('Signature1'),
+    F: ANNOTATION_FLAGS.PRINT,
+    P: page.ref,
+    AP: { N: context.register(context.formXObject([], { BBox: [0, 0, 0, 0], Resources: {} })) }
+  }));
+  page.node.addAnnot(widget);
+
+  const acroForm = catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict);
+  if (acroForm) {
+    acroForm.set(PDFName.of('SigFlags'), context.obj(SIG_FLAGS.SIGNATURES_EXIST | SIG_FLAGS.APPEND_ONLY));
+    acroForm.lookup(PDFName.of('Fields')).push(widget);
+  } else {
+    catalog.set(PDFName.of('AcroForm'), context.obj({ SigFlags: SIG_FLAGS.SIGNATURES_EXIST | SIG_FLAGS.APPEND_ONLY, Fields: [widget] }));
+  }
+}
+
+/**
+ * Fill in the placeholder of a saved PDF with the signature
+ * @returns {Promise<Buffer>}
+ */
+function signDocument(pdfBuffer, identity) {
+  return new SignPdf().sign(pdfBuffer, new CadesSigner(identity));
+}
+
+module.exports = {
+  loadSigningIdentity,
+  signingIdentity,
+  addSignaturePlaceholder,
+  signDocument
+};
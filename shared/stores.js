@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const { isKvConfigured, createKvClient } = require('./kv');
+
+/**
+ * Keyed record stores, for idempotency keys (shared/idempotency.js) and
+ * verification records (shared/verification.js)
+ *
+ * Stores are plain objects with async get(key), add(key, record) -> bool
+ * (false when the key exists), set(key, record) and delete(key). Kinds
+ * defined with `expires` give every record an expiresAt (epoch ms) after
+ * which it is gone; the others keep records forever.
+ *
+ * Deployments (VERCEL_ENV production or preview) run many instances, and
+ * every function on its own, so they only accept the kv store (shared/kv.js).
+ */
+
+const DEPLOYED_ENVIRONMENTS = ['production', 'preview'];
+// Stores every instance and function sees
+const SHARED_STORES = ['kv'];
+
+/**
+ * Stores for one kind of record
+ * @param {object} kind
+ * @param {string} kind.label - for errors, e.g. "idempotency"
+ * @param {string} kind.variable - env var naming the store: memory, file or kv
+ * @param {Function} kind.file - () -> path of the file store's JSON file
+ * @param {string} kind.kvPrefix - namespace of the kind's keys in the kv store
+ * @param {boolean} [kind.expires] - whether records carry an expiresAt
+ * @returns {{ createMemoryStore, createFileStore, createKvStore, getStore, setStore }}
+ */
+function defineStores({ label, variable, file, kvPrefix, expires = false }) {
+  const isLive = (record, now) => Boolean(record) && (!expires || record.expiresAt > now);
+
+  /**
+   * Per-instance store, for tests and local runs
+   */
+  function createMemoryStore() {
+    const records = new Map();
+
+    return {
+      async get(key) {
+        return records.get(key) || null;
+      },
+      async add(key, record) {
+        if (isLive(records.get(key), Date.now())) return false;
+        records.set(key, record);
+        return true;
+      },
+      async set(key, record) {
+        records.set(key, record);
+      },
+      async delete(key) {
+        records.delete(key);
+      }
+    };
+  }
+
+  /**
+   * JSON file store for a single server or local development
+   * Writes are atomic (temp file + rename) but not locked across processes
+   */
+  function createFileStore(fileName) {
+    const read = () => {
+      try {
+        return JSON.parse(fs.readFileSync(fileName, 'utf8'));
+      } catch (err) {
+        if (err.code === 'ENOENT') return {};
+        throw err;
+      }
+    };
+
+    const write = (records) => {
+      const now = Date.now();
+      const live = Object.fromEntries(Object.entries(records).filter(([, record]) => isLive(record, now)));
+      fs.mkdirSync(path.dirname(fileName), { recursive: true });
+      const temp = `${fileName}.${process.pid}.tmp`;
+      fs.writeFileSync(temp, JSON.stringify(live, null, 2));
+      fs.renameSync(temp, fileName);
+    };
+
+    return {
+      async get(key) {
+        return read()[key] || null;
+      },
+      async add(key, record) {
+        const records = read();
+        if (isLive(records[key], Date.now())) return false;
+        write({ ...records, [key]: record });
+        return true;
+      },
+      async set(key, record) {
+        write({ ...read(), [key]: record });
+      },
+      async delete(key) {
+        const { [key]: removed, ...rest } = read();
+        write(rest);
+      }
+    };
+  }
+
+  /**
+   * Store shared by every function and instance; expiring records expire in the store too
+   */
+  function createKvStore(client = createKvClient(kvPrefix)) {
+    const options = (record) => (expires ? { ttlMs: record.expiresAt - Date.now() } : {});
+
+    return {
+      get: (key) => client.get(key),
+      add: (key, record) => client.add(key, record, options(record)),
+      set: (key, record) => client.set(key, record, options(record)),
+      delete: (key) => client.delete(key)
+    };
+  }
+
+  const STORES = {
+    memory: () => createMemoryStore(),
+    file: () => createFileStore(file()),
+    kv: () => createKvStore()
+  };
+
+  let activeStore = null;
+
+  /**
+   * The store named by the kind's env var, created on first use
+   * Defaults to kv when it is configured, else memory
+   */
+  function getStore() {
+    if (!activeStore) {
+      const name = process.env[variable] || (isKvConfigured() ? 'kv' : 'memory');
+      if (!STORES[name]) {
+        throw new Error(`${variable} must be one of ${Object.keys(STORES).join(', ')}`);
+      }
+      if (DEPLOYED_ENVIRONMENTS.includes(process.env.VERCEL_ENV) && !SHARED_STORES.includes(name)) {
+        throw new Error(`The ${name} ${label} store is per instance, so deployments need a shared one: set KV_REST_API_URL and KV_REST_API_TOKEN`);
+      }
+      activeStore = STORES[name]();
+    }
+    return activeStore;
+  }
+
+  /**
+   * Replace the store, e.g. with another one shared by every instance
+   */
+  function setStore(store) {
+    activeStore = store;
+  }
+
+  return { createMemoryStore, createFileStore, createKvStore, getStore, setStore };
+}
+
+module.exports = {
+  defineStores
+};
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const ejs = require('ejs');
+const { escapeHtml, escapeCssUrl } = require('./escape');
+const { languageMeta, message, messageHtml } = require('./language');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+
+// Letter sizing, shared by the page and the repeating letterhead/footer
+const SIZE = {
+  fontSize: '15px', subjectSize: '16px', containerPadding: '0 0.75in', headerMargin: '2rem',
+  logoHeight: '4rem', contentGap: '1.5rem', blockMargin: '2rem', subjectMargin: '1.5rem',
+  addressMargin: '1.5rem 0', signatureSize: '130px', footerPadding: '1rem 2rem'
+};
+
+// Page margins hold the letterhead (top) and footer (bottom) on every page,
+// so body text never runs under them
+const PAGE_MARGINS = { top: '1.25in', right: '0in', bottom: '1.1in', left: '0in' };
+
+const compiled = new Map();
+
+const templatePath = (name) => path.join(TEMPLATES_DIR, `${name}.ejs`);
+
+/**
+ * Compile a template once per warm instance
+ * <%= %> goes through our escapeHtml so every interpolated value is escaped
+ */
+const compileTemplate = (name) => {
+  if (!compiled.has(name)) {
+    const filename = templatePath(name);
+    compiled.set(name, ejs.compile(fs.readFileSync(filename, 'utf8'), {
+      filename,
+      root: TEMPLATES_DIR,
+      escape: escapeHtml,
+      cache: true
+    }));
+  }
+  return compiled.get(name);
+};
+
+/**
+ * Throw if a letter type points at a template that does not exist
+ */
+const assertTemplateExists = (name) => {
+  if (!fs.existsSync(templatePath(name))) {
+    throw new Error(`Letter template not found: templates/${name}.ejs`);
+  }
+};
+
+/**
+ * Message helpers for templates, in one language (see shared/language.js)
+ *   t(key, params)             - plain text, for <%= %>
+ *   html(key, params, markup)  - escaped HTML with **bold**, for <%- %>
+ */
+const languageLocals = (language) => ({
+  language,
+  direction: languageMeta(language).direction,
+  t: (key, params) => message(language, key, params),
+  html: (key, params, markup) => messageHtml(language, key, params, markup)
+});
+
+/**
+ * Locals for the layout and the partials shared by every language of a letter
+ * (signature block, verification, letterhead and footer), in the letter's language
+ * inEveryLanguage() and label() return HTML, for <%- %>; cssUrl() escapes a
+ * url('...') value, then <%= %> escapes it for the attribute around it
+ */
+const sharedLocals = (letter, view) => {
+  // One value per language column as HTML, joined: "Tél. / Tel"; each is
+  // isolated (<bdi>) so Arabic and English labels keep their own order.
+  // Values are text unless `html` is set
+  const inEveryLanguage = (valueFor, { html = false } = {}) => {
+    const values = [...new Set(view.languages.map(valueFor))].map(value => (html ? value : escapeHtml(value)));
+    return values.length > 1 ? values.map(value => `<bdi>${value}</bdi>`).join(' / ') : values.join('');
+  };
+  return {
+    ...view,
+    letter,
+    size: SIZE,
+    ...languageLocals(view.languages[0].language),
+    bilingual: view.languages.length > 1,
+    tIn: message,
+    htmlIn: messageHtml,
+    inEveryLanguage,
+    label: (key) => inEveryLanguage(column => message(column.language, key)),
+    cssUrl: escapeCssUrl
+  };
+};
+
+/**
+ * Build the letter HTML for Puppeteer
+ * The letter type's template provides the body, once per language (side by
+ * side in bilingual letters); templates/layout.ejs wraps it with the
+ * watermark, signature block and, on screen only, the letterhead and footer.
+ * @param {object} letter - letter type definition (title, template)
+ * @param {object} view - { contactName, campus, signatory, assets, verification, languages }
+ *   languages: one { language, title, date, campus, courses, signatoryTitle } per column,
+ *   the letter's language first
+ */
+function renderLetterHTML(letter, view) {
+  const locals = sharedLocals(letter, view);
+  const bodies = view.languages.map(column => ({
+    ...languageLocals(column.language),
+    html: compileTemplate(letter.template)({ ...locals, ...column, ...languageLocals(column.language) })
+  }));
+  return compileTemplate('layout')({ ...locals, bodies });
+}
+
+/**
+ * page.pdf() options that repeat the letterhead and footer (with "Page n of m")
+ * on every printed page
+ * @param {object} view - same view as renderLetterHTML
+ */
+function renderPageOptions(letter, view) {
+  const locals = sharedLocals(letter, view);
+  return {
+    displayHeaderFooter: true,
+    headerTemplate: compileTemplate('print/header')(locals),
+    footerTemplate: compileTemplate('print/footer')(locals),
+    margin: PAGE_MARGINS
+  };
+}
+
+module.exports = {
+  renderLetterHTML,
+  renderPageOptions,
+  assertTemplateExists
+};
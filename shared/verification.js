@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const QRCode = require('qrcode');
+const { defineStores } = require('./stores');
+
+/**
+ * Letter verification
+ *
+ * Every issued letter gets a random document ID, printed on each page and
+ * in a QR code linking to GET /verify/:documentId. The store keeps what the
+ * letter says (type, issue date, student, courses) and the SHA-256 of the
+ * PDF as uploaded, so anyone holding the ID can confirm the letter is ours
+ * and, given the file's hash, that it has not been altered.
+ *
+ * Records are kept in a store from shared/stores.js and never expire. Pick
+ * one with VERIFICATION_STORE (kv when shared/kv.js is configured) or plug
+ * in another with setVerificationStore(); api/verify.js only finds letters
+ * in a store it shares with api/letters.js.
+ */
+
+// Crockford base32: no I, L, O or U, so IDs read back over the phone
+const ID_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+// 20 characters = 100 random bits, grouped for reading: XXXXX-XXXXX-XXXXX-XXXXX
+const ID_LENGTH = 20;
+const DOCUMENT_ID_PATTERN = /^[0-9A-HJKMNP-TV-Z]{5}(-[0-9A-HJKMNP-TV-Z]{5}){3}$/;
+
+/**
+ * A new random document ID
+ */
+function newDocumentId() {
+  const bytes = crypto.randomBytes(ID_LENGTH);
+  const chars = Array.from(bytes, byte => ID_ALPHABET[byte & 31]);
+  return chars.join('').match(/.{5}/g).join('-');
+}
+
+/**
+ * Normalise a document ID as typed by a person (case, spaces, look-alike
+ * letters); null when it cannot be one of ours
+ */
+function parseDocumentId(value) {
+  if (typeof value !== 'string') return null;
+  const chars = value.toUpperCase().replace(/[\s-]/g, '').replace(/[IL]/g, '1').replace(/O/g, '0');
+  if (chars.length !== ID_LENGTH) return null;
+  const documentId = chars.match(/.{5}/g).join('-');
+  return DOCUMENT_ID_PATTERN.test(documentId) ? documentId : null;
+}
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Base URL printed on letters: VERIFY_BASE_URL, else this deployment's URL
+ */
+const verifyBaseUrl = () => (
+  process.env.VERIFY_BASE_URL ||
+  (process.env.VERCEL_PROJECT_PRODUCTION_URL && `https://${process.env.VERCEL_PROJECT_PRODUCTION_URL}`) ||
+  (process.env.VERCEL_URL && `https://${process.env.VERCEL_URL}`) ||
+  'http://localhost:3000'
+).replace(/\/+$/, '');
+
+/**
+ * What the letter templates show: the ID, the verification URL and its QR code
+ */
+async function verificationView(documentId) {
+  const url = `${verifyBaseUrl()}/verify/${documentId}`;
+  const qrCode = await QRCode.toDataURL(url, { errorCorrectionLevel: 'M', margin: 1, scale: 4 });
+  return { documentId, url, qrCode };
+}
+
+const {
+  createMemoryStore,
+  createFileStore,
+  createKvStore,
+  getStore: getVerificationStore,
+  setStore: setVerificationStore
+} = defineStores({
+  label: 'verification',
+  variable: 'VERIFICATION_STORE',
+  file: () => process.env.VERIFICATION_FILE || path.join(os.tmpdir(), 'letter-verification.json'),
+  kvPrefix: 'letters:verification:'
+});
+
+/**
+ * Record an issued letter
+ * @param {object} letter - documentId, letterType, title, issueDate, studentName, courses
+ * @param {Buffer} pdfBuffer - the PDF exactly as uploaded
+ */
+async function recordLetter(letter, pdfBuffer, { store = getVerificationStore() } = {}) {
+  const record = {
+    ...letter,
+    courses: letter.courses.map(({ name, duration }) => ({ name, duration })),
+    pdfSha256: sha256(pdfBuffer),
+    issuedAt: new Date().toISOString()
+  };
+  if (!(await store.add(letter.documentId, record))) {
+    throw new Error(`Document ID ${letter.documentId} is already recorded`);
+  }
+  return record;
+}
+
+/**
+ * Public details of a letter, and whether a presented hash matches it
+ * @param {string} documentId - as printed or typed
+ * @param {string} [presentedHash] - SHA-256 (hex) of the PDF being checked
+ * @returns {Promise<object|null>} null when no letter has this ID
+ */
+async function verifyLetter(documentId, presentedHash, { store = getVerificationStore() } = {}) {
+  const id = parseDocumentId(documentId);
+  const record = id && await store.get(id);
+  if (!record) return null;
+
+  const hash = typeof presentedHash === 'string' ? presentedHash.trim().toLowerCase() : '';
+  return {
+    documentId: record.documentId,
+    letterType: record.letterType,
+    title: record.title,
+    issueDate: record.issueDate,
+    studentName: record.studentName,
+    courses: record.courses,
+    // null when no hash was presented
+    hashMatches: hash ? hash === record.pdfSha256 : null
+  };
+}
+
+/**
+ * Vercel handler for GET /verify/:documentId[?sha256=<hex>]
+ * Public: anyone holding a letter can check it
+ */
+async function verifyHandler(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { documentId, sha256: presentedHash } = req.query || {};
+  if (presentedHash !== undefined && !/^[0-9a-f]{64}$/i.test(String(presentedHash).trim())) {
+    return res.status(400).json({ error: 'sha256 must be a 64-character hex SHA-256 digest', success: false });
+  }
+
+  try {
+    const result = await verifyLetter(documentId, presentedHash);
+    res.setHeader('Cache-Control', 'no-store');
+    if (!result) {
+      return res.status(404).json({ valid: false, error: 'No letter was issued with this document ID', documentId });
+    }
+    return res.status(200).json({ valid: true, ...result });
+  } catch (error) {
+    console.error('Verification error:', error);
+    return res.status(500).json({ error: 'Internal server error', success: false });
+  }
+}
+
+module.exports = {
+  newDocumentId,
+  parseDocumentId,
+  sha256,
+  verificationView,
+  createMemoryStore,
+  createFileStore,
+  createKvStore,
+  getVerificationStore,
+  setVerificationStore,
+  recordLetter,
+  verifyLetter,
+  verifyHandler
+};
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { ASSETS_DIR, SYSTEM_FONTS, isAssetPath, assetDataUri, fontFaceCss, letterAssets } = require('../shared/assets');
+const { signatories } = require('../config/signatories.json');
+const { resolveSignatory } = require('../shared/signatories');
+const { renderLetterHTML } = require('../shared/template');
+
+test('asset paths stay inside assets/', () => {
+  assert.ok(isAssetPath('signatures/dipty-missra.jpg'));
+  assert.ok(isAssetPath('images/logo.PNG'));
+  for (const value of ['../config/courses.json', 'images/../../x.png', '/etc/x.png', 'https://cdn.example/a.png', 'images/logo.gif', 42]) {
+    assert.equal(isAssetPath(value), false, String(value));
+  }
+});
+
+test('missing assets fail with the fetch command', () => {
+  assert.throws(() => assetDataUri('images/does-not-exist.png'), /npm run fetch-assets/);
+  assert.throws(() => assetDataUri('../package.json'), /Invalid asset path/);
+});
+
+test('Montserrat and Noto Sans Arabic are embedded for every weight and subset', () => {
+  const css = fontFaceCss();
+  for (const weight of [400, 500, 600, 700]) {
+    assert.match(css, new RegExp(`font-weight: ${weight};`));
+  }
+  assert.equal(css.match(/font-family: 'Montserrat'/g).length, 8);
+  assert.equal(css.match(/font-family: 'Noto Sans Arabic'/g).length, 4);
+  assert.equal(css.match(/url\(data:font\/woff2;base64,/g).length, 12);
+  assert.doesNotMatch(css, /https?:/);
+});
+
+test('fonts installed for footer templates are shipped', () => {
+  for (const font of SYSTEM_FONTS) {
+    assert.ok(fs.existsSync(path.join(ASSETS_DIR, font)), font);
+  }
+});
+
+test('rendered letters reference nothing outside the document', () => {
+  const pixel = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+  const campus = { displayName: 'Mississauga', address: 'a', footerAddress: 'b', phone: 'c', email: 'info@prepdoctors.ca' };
+  const html = renderLetterHTML({ title: 'Letter of Enrollment', template: 'enrollment' }, {
+    contactName: 'Jane Doe',
+    campus,
+    signatory: { name: 'Dipty Missra', title: 'Client Relations Manager', phone: 'c', extension: '116', email: 'info@prepdoctors.ca' },
+    languages: [{
+      language: 'en',
+      title: 'Letter of Enrollment',
+      date: 'March 5, 2025',
+      campus,
+      courses: [{ name: 'AFK', duration: 'January 06, 2025 to March 28, 2025' }],
+      signatoryTitle: 'Client Relations Manager'
+    }],
+    assets: { fontFaces: fontFaceCss(), logo: pixel, watermark: pixel, signature: pixel },
+    verification: { documentId: '0A1B2-C3D4E-F5G6H-7J8K9', url: 'https://letters.example/verify/0A1B2-C3D4E-F5G6H-7J8K9', qrCode: pixel }
+  });
+
+  // The verification URL is printed as text; nothing may load it
+  assert.doesNotMatch(html.replace(/<p>Document ID:[\s\S]*?<\/p>/, ''), /https?:/i);
+  assert.doesNotMatch(html, /<link\b/);
+  assert.equal(html.match(/data:image\/png;base64,iVBOR/g).length, 4);
+});
+
+test('every signatory\'s letters embed only committed files', () => {
+  for (const [key, signatory] of Object.entries(signatories)) {
+    const assets = letterAssets(signatory);
+    for (const name of ['logo', 'watermark', 'signature']) {
+      assert.match(assets[name], /^data:image\/(png|jpeg|svg\+xml);base64,/, `${key} ${name}`);
+    }
+  }
+});
+
+test('letters render with the shipped assets', () => {
+  const signatory = resolveSignatory({ letterType: 'enrollment', location: 'Mississauga', issueDate: '2025-03-05' });
+  const assets = letterAssets(signatory);
+
+  const campus = { displayName: 'Mississauga', address: 'a', footerAddress: 'b', phone: 'c', email: 'info@prepdoctors.ca' };
+  const html = renderLetterHTML({ title: 'Letter of Enrollment', template: 'enrollment' }, {
+    contactName: 'Jane Doe',
+    campus,
+    signatory,
+    languages: [{ language: 'en', title: 'Letter of Enrollment', date: 'March 5, 2025', campus, courses: [], signatoryTitle: signatory.title }],
+    assets,
+    verification: { documentId: '0A1B2-C3D4E-F5G6H-7J8K9', url: 'https://letters.example/verify/0A1B2-C3D4E-F5G6H-7J8K9', qrCode: assets.logo }
+  });
+  assert.ok(html.includes(assets.logo));
+  assert.ok(html.includes(assets.signature));
+});
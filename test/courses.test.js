@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadCatalog, resolveCourse, isEligible, courseName, courseDuration } = require('../shared/courses');
+const { LookupError } = require('../shared/errors');
+
+const code = (courseID) => resolveCourse(courseID).code;
+
+test('exact codes resolve regardless of case', () => {
+  assert.equal(code('AFK'), 'AFK');
+  assert.equal(code('simpack'), 'SimPack');
+  assert.equal(code('SitPractice'), 'SitPractice');
+  assert.equal(code('Sim'), 'Sim');
+});
+
+test('Sim, SimPack and SitPractice never shadow each other', () => {
+  assert.equal(code('SimPack-Jan25'), 'SimPack');
+  assert.equal(code('Sim-Full-Jan25'), 'Sim-Full');
+  assert.equal(code('Sim-Mississauga'), 'Sim');
+  assert.equal(code('SitPractice-Online'), 'SitPractice');
+  assert.equal(code('Situational-Vancouver'), 'Situational');
+});
+
+test('aliases resolve to their course', () => {
+  assert.equal(code('B9'), 'Clinical');
+  assert.equal(code('B9-Jan25'), 'Clinical');
+});
+
+test('a location-style alias segment does not outrank a course code', () => {
+  assert.equal(code('SimPack-B9'), 'SimPack');
+  assert.equal(code('AFK_B9_2025'), 'AFK');
+});
+
+test('unknown course IDs throw a LookupError listing the valid codes', () => {
+  assert.throws(() => resolveCourse('NDECC-Orientation'), (err) => {
+    assert.ok(err instanceof LookupError);
+    assert.match(err.message, /Unknown course_id "NDECC-Orientation"/);
+    assert.ok(err.details.validCodes.includes('AFK'));
+    assert.ok(err.details.catalogVersion);
+    return true;
+  });
+  assert.throws(() => resolveCourse(''), LookupError);
+  assert.throws(() => resolveCourse(undefined), LookupError);
+});
+
+test('substrings inside a segment do not match', () => {
+  assert.throws(() => resolveCourse('Simulation2025'), LookupError);
+  assert.throws(() => resolveCourse('AFKX'), LookupError);
+});
+
+test('two different codes in one course_id are ambiguous', () => {
+  assert.throws(() => resolveCourse('AFK-ACJ-Bundle'), (err) => {
+    assert.ok(err instanceof LookupError);
+    assert.deepEqual(err.details.candidates.sort(), ['ACJ', 'AFK']);
+    return true;
+  });
+});
+
+test('conflicting codes and aliases are rejected at load time', () => {
+  assert.throws(() => loadCatalog({ version: 't', courses: [
+    { code: 'Clinical', aliases: ['B9'], name: 'A' },
+    { code: 'B9', name: 'B' }
+  ] }), /"B9" on B9 conflicts with Clinical/);
+
+  assert.throws(() => loadCatalog({ version: 't', courses: [
+    { code: 'Sim-Full', name: 'A' },
+    { code: 'Sim_Full', name: 'B' }
+  ] }), /conflicts/);
+
+  assert.throws(() => loadCatalog({ courses: [] }), /version/);
+  assert.throws(() => loadCatalog({ version: 't', courses: [{ code: 'X' }] }), /code and a name/);
+  assert.throws(() => loadCatalog({ version: 't', courses: [{ code: 'X', name: 'X', letterTypes: ['nope'] }] }), /unknown letter types: nope/);
+  assert.throws(() => loadCatalog({ version: 't', courses: [{ code: 'X', name: 'X', translations: { de: { name: 'X' } } }] }), /unknown languages: de/);
+});
+
+test('a custom catalog can be passed to resolveCourse', () => {
+  const catalog = loadCatalog({ version: 't', courses: [{ code: 'NEW', name: 'New Course' }] });
+  assert.equal(resolveCourse('NEW-2026', { catalog }).name, 'New Course');
+  assert.throws(() => resolveCourse('AFK', { catalog }), LookupError);
+});
+
+test('roadmap acceptance only lists NDECC courses', () => {
+  for (const courseID of ['Sim-Full', 'SimPack', 'Clinical', 'B9', 'Situational', 'SitPractice']) {
+    assert.ok(isEligible(resolveCourse(courseID), 'roadmap-acceptance'), courseID);
+  }
+  for (const courseID of ['AFK', 'ACJ', 'ADT', 'INBDE', 'BRD', 'Sim']) {
+    assert.ok(!isEligible(resolveCourse(courseID), 'roadmap-acceptance'), courseID);
+    assert.ok(isEligible(resolveCourse(courseID), 'enrollment'), courseID);
+  }
+});
+
+test('SitPractice always lasts 12 weeks', () => {
+  assert.equal(courseDuration(resolveCourse('SitPractice'), 'May 01, 2025', 'June 01, 2025'), '12 Weeks');
+  assert.equal(courseDuration(resolveCourse('AFK'), 'May 01, 2025', 'June 01, 2025'), 'May 01, 2025 to June 01, 2025');
+});
+
+test('French letters print translated durations and fall back to the English name', () => {
+  assert.equal(courseDuration(resolveCourse('SitPractice'), '1er mai 2025', '1er juin 2025', 'fr'), '12 semaines');
+  assert.equal(courseDuration(resolveCourse('AFK'), '1er mai 2025', '1er juin 2025', 'fr'), 'du 1er mai 2025 au 1er juin 2025');
+  assert.equal(courseName(resolveCourse('AFK'), 'fr'), resolveCourse('AFK').name);
+});
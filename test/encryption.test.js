@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
+
+const { encryptionErrors, resolveEncryption } = require('../shared/encryption');
+const { finishPDF } = require('../shared/pdf');
+const { HttpError } = require('../shared/errors');
+
+// pdf.js is what browsers use to open PDFs; it checks the files independently
+const pdfjs = import('pdfjs-dist/legacy/build/pdf.mjs');
+
+const open = async (pdf, password) => {
+  const { getDocument } = await pdfjs;
+  return getDocument({ data: new Uint8Array(pdf), password, verbosity: 0 }).promise;
+};
+
+const samplePDF = async () => {
+  const doc = await PDFDocument.create();
+  doc.setTitle('Letter of Enrollment – Zoë Tremblay');
+  doc.addPage().drawText('Letter of Enrollment');
+  return Buffer.from(await doc.save());
+};
+
+const encrypt = async (encryption) => finishPDF(await samplePDF(), { signing: {}, encryption }, { identity: null });
+
+const letter = { type: 'enrollment', title: 'Letter of Enrollment' };
+
+test('encryption settings are validated', () => {
+  assert.deepEqual(encryptionErrors({ openPassword: 'student_id', permissions: ['print'] }), []);
+  assert.deepEqual(encryptionErrors({ openPassword: null }), []);
+  assert.deepEqual(encryptionErrors({ openPassword: 'email', permissions: ['print', 'share'], password: 'x' }), [
+    'unknown field "password"',
+    'openPassword must be null or one of student_id, date_of_birth',
+    'permissions has unknown values: share (use print, modify, copy, annotate, fillForms, accessibility, assemble)'
+  ]);
+  assert.deepEqual(encryptionErrors([]), ['encryption must be an object']);
+});
+
+test('letters are only encrypted when the type or the request asks', () => {
+  assert.equal(resolveEncryption(letter, { student_id: 'S-1' }), null);
+
+  process.env.PDF_OWNER_PASSWORD = 'owner-secret';
+  const fromType = resolveEncryption({ ...letter, encryption: { openPassword: 'student_id' } }, { student_id: 'S-1' });
+  assert.deepEqual(fromType, { userPassword: 'S-1', ownerPassword: 'owner-secret', permissions: ['print', 'accessibility'], hint: 'the student ID' });
+
+  const fromRequest = resolveEncryption(letter, { date_of_birth: '1990-04-07', encryption: { openPassword: 'date_of_birth', permissions: [] } });
+  assert.equal(fromRequest.userPassword, '19900407');
+  assert.deepEqual(fromRequest.permissions, []);
+  delete process.env.PDF_OWNER_PASSWORD;
+
+  const restrictOnly = resolveEncryption(letter, { encryption: { openPassword: null } });
+  assert.equal(restrictOnly.userPassword, '');
+  assert.ok(restrictOnly.ownerPassword.length >= 32);
+});
+
+test('a missing password field or a bad request is a 400', () => {
+  for (const data of [
+    { encryption: { openPassword: 'date_of_birth' } },
+    { date_of_birth: 'not a date', encryption: { openPassword: 'date_of_birth' } },
+    { student_id: 'S-1', encryption: { permissions: 'print' } }
+  ]) {
+    assert.throws(() => resolveEncryption(letter, data), (err) => err instanceof HttpError && err.status === 400);
+  }
+});
+
+test('encrypted letters need the open password and keep their metadata', async () => {
+  const pdf = await encrypt({ userPassword: 'S-1', ownerPassword: 'owner-secret', permissions: ['print', 'accessibility'] });
+
+  await assert.rejects(open(pdf), { name: 'PasswordException' });
+  await assert.rejects(open(pdf, 'S-2'), { name: 'PasswordException' });
+
+  for (const password of ['S-1', 'owner-secret']) {
+    const doc = await open(pdf, password);
+    const text = (await (await doc.getPage(1)).getTextContent()).items.map(item => item.str).join('');
+    assert.equal(text, 'Letter of Enrollment');
+    assert.equal((await doc.getMetadata()).info.Title, 'Letter of Enrollment – Zoë Tremblay');
+  }
+});
+
+test('permissions disable editing and copying', async () => {
+  const { PermissionFlag } = await pdfjs;
+  const doc = await open(await encrypt({ userPassword: '', ownerPassword: 'owner-secret', permissions: ['print', 'accessibility'] }));
+  const allowed = await doc.getPermissions();
+
+  assert.ok(allowed.includes(PermissionFlag.PRINT));
+  assert.ok(allowed.includes(PermissionFlag.PRINT_HIGH_QUALITY));
+  assert.ok(allowed.includes(PermissionFlag.COPY_FOR_ACCESSIBILITY));
+  for (const flag of ['MODIFY_CONTENTS', 'COPY', 'MODIFY_ANNOTATIONS', 'FILL_INTERACTIVE_FORMS', 'ASSEMBLE']) {
+    assert.ok(!allowed.includes(PermissionFlag[flag]), flag);
+  }
+});
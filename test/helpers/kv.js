@@ -0,0 +1,63 @@
+// In-memory stand-in for the Redis REST API behind shared/kv.js: pass `http`
+// to createKvClient(). Understands GET, SET [NX] [PX ms] and DEL.
+
+const KV_CONFIG = { url: 'https://kv.example', token: 'kv-token' };
+
+/**
+ * @returns {{ http: object, commands: Array<string[]>, values: Map }} commands
+ *   records every command sent, values holds the raw stored strings
+ */
+function fakeKv() {
+  const values = new Map();
+  const expiresAt = new Map();
+  const commands = [];
+
+  const live = (key) => {
+    if (expiresAt.has(key) && expiresAt.get(key) <= Date.now()) {
+      values.delete(key);
+      expiresAt.delete(key);
+    }
+    return values.has(key);
+  };
+
+  const run = ([name, key, ...args]) => {
+    switch (name) {
+      case 'GET':
+        return live(key) ? values.get(key) : null;
+      case 'SET': {
+        if (args.includes('NX') && live(key)) return null;
+        values.set(key, args[0]);
+        const px = args.indexOf('PX');
+        if (px === -1) expiresAt.delete(key);
+        else expiresAt.set(key, Date.now() + Number(args[px + 1]));
+        return 'OK';
+      }
+      case 'DEL':
+        return live(key) && values.delete(key) ? 1 : 0;
+      default: {
+        const err = new Error('Request failed with status code 400');
+        err.response = { status: 400, data: { error: `ERR unknown command '${name}'` } };
+        throw err;
+      }
+    }
+  };
+
+  const http = {
+    async post(url, command, { headers }) {
+      if (url !== KV_CONFIG.url || headers.Authorization !== `Bearer ${KV_CONFIG.token}`) {
+        const err = new Error('Request failed with status code 401');
+        err.response = { status: 401, data: { error: 'Unauthorized' } };
+        throw err;
+      }
+      commands.push(command);
+      return { data: { result: run(command) } };
+    }
+  };
+
+  return { http, commands, values };
+}
+
+module.exports = {
+  KV_CONFIG,
+  fakeKv
+};
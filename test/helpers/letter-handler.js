@@ -0,0 +1,55 @@
+// Runs shared/letter.js's handler offline: HubSpot, Puppeteer and the image
+// files are replaced, requests stream their body like Node's and responses
+// are plain objects. Call stubLetterDependencies() before requiring shared/letter.
+const { Readable } = require('stream');
+
+const stub = (relativePath, exports) => {
+  const filename = require.resolve(relativePath);
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+};
+
+const PLACEHOLDER_ASSETS = { fontFaces: '', logo: 'data:image/png;base64,AA', watermark: 'data:image/png;base64,AA', signature: 'data:image/png;base64,AA' };
+
+/**
+ * Replace shared/hubspot functions and generatePDF with the given ones
+ * @param {object} fakes - { generatePDF, ...shared/hubspot functions }
+ * @returns {string[]} names of the replaced functions in the order they are called
+ */
+function stubLetterDependencies({ generatePDF, ...hubspot }) {
+  const calls = [];
+  const recorded = (name, fn) => async (...args) => {
+    calls.push(name);
+    return fn(...args);
+  };
+
+  stub('../../shared/hubspot', {
+    ...require('../../shared/hubspot'),
+    ...Object.fromEntries(Object.entries(hubspot).map(([name, fn]) => [name, recorded(name, fn)]))
+  });
+  stub('../../shared/browser', { generatePDF: recorded('generatePDF', generatePDF) });
+  stub('../../shared/assets', { ...require('../../shared/assets'), letterAssets: () => PLACEHOLDER_ASSETS });
+  return calls;
+}
+
+/**
+ * Call a Vercel-style handler and return the response it built
+ * @param {object|string} [body] - sent as JSON; strings are sent as they are
+ * @returns {Promise<{ statusCode: number, headers: object, body: any }>}
+ */
+async function send(handler, { method = 'POST', url = '/api/letters.js', query = {}, headers = {}, body }) {
+  const raw = body === undefined ? '' : typeof body === 'string' ? body : JSON.stringify(body);
+  const req = Object.assign(Readable.from([Buffer.from(raw)]), { method, url, query, headers });
+
+  const res = { headers: {}, statusCode: null, body: null };
+  res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = res.send = (value) => { res.body = value; return res; };
+  res.end = () => res;
+  await handler(req, res);
+  return res;
+}
+
+module.exports = {
+  stubLetterDependencies,
+  send
+};
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createTokenBucket, createHubSpotClient } = require('../shared/hubspot-client');
+const { createRequestCounter } = require('../shared/hubspot');
+
+// Fake clock: sleeping advances time instantly
+const clock = () => {
+  let time = 0;
+  const sleeps = [];
+  return {
+    now: () => time,
+    sleep: async (ms) => { sleeps.push(ms); time += ms; },
+    sleeps
+  };
+};
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers } });
+const networkError = (code) => Object.assign(new Error(code), { code });
+
+// HTTP stub answering with the given outcomes in order
+const scripted = (...outcomes) => {
+  const configs = [];
+  return {
+    configs,
+    request: async (config) => {
+      configs.push(config);
+      const outcome = outcomes.shift();
+      if (outcome instanceof Error) throw outcome;
+      return outcome || { data: {}, headers: {} };
+    }
+  };
+};
+
+const client = (http, time, options = {}) => createHubSpotClient({ http, sleep: time.sleep, now: time.now, random: () => 1, ...options });
+
+test('the token bucket spaces requests once the burst is used', async () => {
+  const time = clock();
+  const bucket = createTokenBucket({ capacity: 2, intervalMs: 1000, now: time.now, sleep: time.sleep });
+
+  for (let i = 0; i < 4; i++) await bucket.take();
+  assert.deepEqual(time.sleeps, [500, 500]);
+
+  bucket.drain();
+  await bucket.take();
+  assert.equal(time.sleeps.at(-1), 500);
+});
+
+test('429s wait for Retry-After and count every attempt', async () => {
+  const time = clock();
+  const http = scripted(httpError(429, { 'retry-after': '2' }), { data: { ok: true }, headers: {} });
+  const counter = createRequestCounter();
+
+  const response = await client(http, time).request('associations.list', { method: 'get', url: 'https://api.hubapi.com/x' }, { counter });
+
+  assert.deepEqual(response.data, { ok: true });
+  assert.ok(time.sleeps.includes(2000));
+  assert.deepEqual(counter.summary(), { total: 2, calls: { 'associations.list': 2 } });
+});
+
+test('5xx and network errors back off exponentially with jitter', async () => {
+  const time = clock();
+  const http = scripted(httpError(502), networkError('ECONNRESET'), httpError(503), { data: {}, headers: {} });
+
+  await client(http, time, { baseDelayMs: 100, random: () => 0.5 }).request('read', { method: 'get', url: 'u' });
+  assert.deepEqual(time.sleeps, [50, 100, 200]);
+});
+
+test('backoff is capped and retries run out', async () => {
+  const time = clock();
+  const http = scripted(httpError(500), httpError(500), httpError(500), httpError(500));
+
+  await assert.rejects(
+    client(http, time, { baseDelayMs: 1000, maxDelayMs: 1500, maxRetries: 3 }).request('read', { method: 'get', url: 'u' }),
+    /status code 500/
+  );
+  assert.equal(http.configs.length, 4);
+  assert.deepEqual(time.sleeps, [1000, 1500, 1500]);
+});
+
+test('creates are only retried when HubSpot cannot have acted', async () => {
+  const time = clock();
+
+  const failed = scripted(httpError(500));
+  await assert.rejects(client(failed, time).request('notes.create', { method: 'post', url: 'u', data: {} }), /500/);
+  assert.equal(failed.configs.length, 1);
+
+  const reset = scripted(networkError('ECONNRESET'));
+  await assert.rejects(client(reset, time).request('notes.create', { method: 'post', url: 'u', data: {} }), /ECONNRESET/);
+  assert.equal(reset.configs.length, 1);
+
+  const limited = scripted(httpError(429), networkError('ECONNREFUSED'), { data: { id: 'note-1' }, headers: {} });
+  assert.equal((await client(limited, time).request('notes.create', { method: 'post', url: 'u', data: {} })).data.id, 'note-1');
+});
+
+test('client errors are not retried', async () => {
+  const time = clock();
+  const http = scripted(httpError(404));
+
+  await assert.rejects(client(http, time).request('read', { method: 'get', url: 'u' }), /404/);
+  assert.equal(http.configs.length, 1);
+});
+
+test('each attempt gets a timeout and, when asked, a fresh config', async () => {
+  const time = clock();
+  const http = scripted(httpError(429), { data: {}, headers: {} });
+  let built = 0;
+
+  await client(http, time, { timeoutMs: 1234 }).request('files.upload', () => ({ method: 'post', url: 'u', data: `form ${++built}` }));
+
+  assert.deepEqual(http.configs.map(c => [c.timeout, c.data]), [[1234, 'form 1'], [1234, 'form 2']]);
+});
+
+test('a call can override the timeout', async () => {
+  const time = clock();
+  const http = scripted();
+
+  await client(http, time).request('files.upload', { method: 'post', url: 'u', timeout: 30000 });
+  assert.equal(http.configs[0].timeout, 30000);
+});
@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Fake HubSpot API: associations for one contact, batch reads of enrollments, notes
+const requests = [];
+const notes = [];
+let associated = [];
+let failingIds = [];
+
+// Cursor paging like the v4 associations API
+const listAssociations = (url) => {
+  const { searchParams } = new URL(url);
+  const start = Number(searchParams.get('after') || 0);
+  const end = start + Number(searchParams.get('limit'));
+  return {
+    results: associated.slice(start, end).map(id => ({ toObjectId: Number(id) })),
+    ...(end < associated.length && { paging: { next: { after: String(end) } } })
+  };
+};
+
+const batchRead = (body) => {
+  const ids = body.inputs.map(input => input.id);
+  return {
+    results: ids.filter(id => !failingIds.includes(id)).reverse().map(id => ({ id, properties: { course_id: `AFK-${id}` } })),
+    errors: ids.filter(id => failingIds.includes(id)).map(id => ({
+      status: 'error',
+      category: 'OBJECT_NOT_FOUND',
+      message: `Object ${id} not found`,
+      context: { ids: [id] }
+    }))
+  };
+};
+
+const axiosPath = require.resolve('axios');
+require.cache[axiosPath] = {
+  id: axiosPath,
+  filename: axiosPath,
+  loaded: true,
+  exports: {
+    request: async ({ method, url, data }) => {
+      const property = /\/crm\/v3\/properties\/([^/]+)\/([^/]+)$/.exec(url);
+      if (property) {
+        if (property[2] !== 'course_start_date') {
+          throw Object.assign(new Error('Request failed with status code 404'), { response: { status: 404, headers: {} } });
+        }
+        return { data: { name: property[2], type: 'date', fieldType: 'date' }, headers: {} };
+      }
+      if (url.endsWith('/crm/v3/objects/notes')) {
+        notes.push(data);
+        return { data: { id: 'note-1' }, headers: {} };
+      }
+      requests.push([method.toUpperCase(), url, data]);
+      return { data: method === 'get' ? listAssociations(url) : batchRead(data), headers: {} };
+    }
+  }
+};
+
+const { fetchAssociatedEnrollments, fetchPropertyDefinition, createNote, createRequestCounter } = require('../shared/hubspot');
+
+const ids = (count) => Array.from({ length: count }, (_, i) => String(1000 + i));
+
+test.beforeEach(() => {
+  requests.length = 0;
+  failingIds = [];
+  delete process.env.MAX_ASSOCIATED_ENROLLMENTS;
+  delete process.env.ENROLLMENT_FETCH_POLICY;
+});
+
+test('enrollments are read in batches of 100, one request per batch', async () => {
+  associated = ids(250);
+  const counter = createRequestCounter();
+
+  const { enrollments, truncated } = await fetchAssociatedEnrollments('101', { counter });
+
+  assert.equal(truncated, null);
+  const batches = requests.filter(([method]) => method === 'POST');
+  assert.deepEqual(batches.map(([, , body]) => body.inputs.length), [100, 100, 50]);
+  assert.match(batches[0][1], /\/crm\/v3\/objects\/2-41701559\/batch\/read$/);
+  assert.ok(batches[0][2].properties.includes('course_start_date'));
+
+  assert.deepEqual(enrollments.map(e => e.id), associated, 'association order is kept');
+  assert.equal(enrollments[0].properties.course_id, 'AFK-1000');
+  assert.deepEqual(counter.summary(), { total: 4, calls: { 'associations.list': 1, 'enrollments.batchRead': 3 } });
+});
+
+test('a small student costs two requests', async () => {
+  associated = ids(3);
+  const counter = createRequestCounter();
+
+  await fetchAssociatedEnrollments('101', { counter });
+  assert.equal(counter.total, 2);
+});
+
+test('by default a record the batch read cannot return fails the letter', async () => {
+  associated = ids(5);
+  failingIds = ['1003'];
+
+  await assert.rejects(fetchAssociatedEnrollments('101'), /Object 1003 not found/);
+});
+
+test('a contact without enrollments is an error', async () => {
+  associated = [];
+  await assert.rejects(fetchAssociatedEnrollments('101'), /no valid enrollments/);
+});
+
+test('associations are followed past the first page', async () => {
+  associated = ids(1200);
+  process.env.MAX_ASSOCIATED_ENROLLMENTS = '5000';
+
+  const { enrollments, truncated } = await fetchAssociatedEnrollments('101');
+
+  const pages = requests.filter(([method]) => method === 'GET').map(([, url]) => new URL(url).searchParams.get('after'));
+  assert.deepEqual(pages, [null, '500', '1000']);
+  assert.equal(enrollments.length, 1200);
+  assert.equal(enrollments[1199].id, '2199');
+  assert.equal(truncated, null);
+});
+
+test('the enrollment cap stops paging and reports the truncation', async () => {
+  associated = ids(1200);
+
+  const { enrollments, truncated } = await fetchAssociatedEnrollments('101');
+  assert.equal(enrollments.length, 1000);
+  assert.deepEqual(truncated, { limit: 1000 });
+  assert.equal(requests.filter(([method]) => method === 'GET').length, 2);
+
+  requests.length = 0;
+  process.env.MAX_ASSOCIATED_ENROLLMENTS = '150';
+  const capped = await fetchAssociatedEnrollments('101');
+  assert.equal(capped.enrollments.length, 150);
+  assert.deepEqual(capped.truncated, { limit: 150 });
+  assert.deepEqual(requests.filter(([method]) => method === 'POST').map(([, , body]) => body.inputs.length), [100, 50]);
+});
+
+test('exactly the cap is not a truncation', async () => {
+  associated = ids(500);
+  process.env.MAX_ASSOCIATED_ENROLLMENTS = '500';
+
+  assert.equal((await fetchAssociatedEnrollments('101')).truncated, null);
+});
+
+test('a bad cap is a configuration error', async () => {
+  associated = ids(3);
+  process.env.MAX_ASSOCIATED_ENROLLMENTS = '0';
+  await assert.rejects(fetchAssociatedEnrollments('101'), /MAX_ASSOCIATED_ENROLLMENTS/);
+});
+
+test('the partial policy skips unreadable records and says why', async () => {
+  associated = ids(5);
+  failingIds = ['1001', '1003'];
+  process.env.ENROLLMENT_FETCH_POLICY = 'partial';
+
+  const { enrollments, skipped } = await fetchAssociatedEnrollments('101');
+
+  assert.deepEqual(enrollments.map(e => e.id), ['1000', '1002', '1004']);
+  assert.deepEqual(skipped, [
+    { id: '1001', reason: 'Object 1001 not found' },
+    { id: '1003', reason: 'Object 1003 not found' }
+  ]);
+});
+
+test('an unknown fetch policy is a configuration error', async () => {
+  associated = ids(3);
+  process.env.ENROLLMENT_FETCH_POLICY = 'best-effort';
+  await assert.rejects(fetchAssociatedEnrollments('101'), /ENROLLMENT_FETCH_POLICY/);
+});
+
+test('the note lists skipped enrollments', async () => {
+  notes.length = 0;
+  const file = { id: 'f1', url: 'https://files.example/letter.pdf', createdAt: '2025-03-05T00:00:00Z' };
+
+  await createNote({ recordID: '101', label: 'Letter of Enrollment', file, skipped: [{ id: '1001', reason: 'Object <1001> not found' }] });
+  await createNote({ recordID: '101', label: 'Letter of Enrollment', file });
+
+  assert.match(notes[0].properties.hs_note_body, /Enrollments not included:<\/strong> 1001 \(Object &lt;1001&gt; not found\)/);
+  assert.doesNotMatch(notes[1].properties.hs_note_body, /not included/);
+});
+
+test('property definitions are read from the CRM schema', async () => {
+  assert.deepEqual(await fetchPropertyDefinition('2-41701559', 'course_start_date'), { name: 'course_start_date', type: 'date', fieldType: 'date' });
+  assert.equal(await fetchPropertyDefinition('2-41701559', 'no_such_property'), null);
+});
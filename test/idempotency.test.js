@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+
+const { createMemoryStore, createFileStore, createKvStore, idempotencyKey, runOnce } = require('../shared/idempotency');
+const { createKvClient } = require('../shared/kv');
+const { HttpError } = require('../shared/errors');
+const { stubLetterDependencies, send } = require('./helpers/letter-handler');
+const { KV_CONFIG, fakeKv } = require('./helpers/kv');
+
+const enrollment = { type: 'enrollment' };
+const completion = { type: 'completion' };
+const payload = { firstname: 'Jane', lastname: 'Doe', recordID: '101', enrollment_record_id: '202', course_id: 'AFK' };
+
+test('derived keys cover letter type, enrollment and payload', () => {
+  const key = idempotencyKey({ headers: {} }, enrollment, payload);
+
+  assert.match(key, /^enrollment:202:[0-9a-f]{64}$/);
+  assert.equal(idempotencyKey({ headers: {} }, enrollment, { course_id: 'AFK', ...payload }), key, 'property order does not matter');
+  assert.notEqual(idempotencyKey({ headers: {} }, completion, payload), key);
+  assert.notEqual(idempotencyKey({ headers: {} }, enrollment, { ...payload, course_id: 'ACJ' }), key);
+  assert.match(idempotencyKey({ headers: {} }, enrollment, { recordID: '101' }), /^enrollment:101:/);
+});
+
+test('an Idempotency-Key header replaces the derived key', () => {
+  const req = { headers: { 'idempotency-key': 'wf-42-attempt' } };
+  assert.equal(idempotencyKey(req, enrollment, payload), 'enrollment:key:wf-42-attempt');
+  assert.equal(idempotencyKey(req, enrollment, { ...payload, course_id: 'ACJ' }), 'enrollment:key:wf-42-attempt');
+  assert.equal(idempotencyKey(req, completion, payload), 'completion:key:wf-42-attempt');
+
+  for (const bad of ['', 'has space', 'x'.repeat(256)]) {
+    assert.throws(() => idempotencyKey({ headers: { 'idempotency-key': bad } }, enrollment, payload), (err) => err instanceof HttpError && err.status === 400);
+  }
+});
+
+test('a finished key returns the original result', async () => {
+  const store = createMemoryStore();
+  let runs = 0;
+  const task = async () => ({ noteId: `note-${++runs}` });
+
+  assert.deepEqual(await runOnce('k', task, { store }), { result: { noteId: 'note-1' }, replayed: false });
+  assert.deepEqual(await runOnce('k', task, { store }), { result: { noteId: 'note-1' }, replayed: true });
+  assert.equal(runs, 1);
+});
+
+test('a key in flight rejects repeats with 409', async () => {
+  const store = createMemoryStore();
+  let finish;
+  const first = runOnce('k', () => new Promise(resolve => { finish = resolve; }), { store });
+
+  await assert.rejects(runOnce('k', async () => ({}), { store }), (err) => err instanceof HttpError && err.status === 409);
+
+  finish({ noteId: 'note-1' });
+  assert.equal((await first).replayed, false);
+});
+
+test('a failed attempt releases the key for the retry', async () => {
+  const store = createMemoryStore();
+  await assert.rejects(runOnce('k', async () => { throw new Error('HubSpot down'); }, { store }), /HubSpot down/);
+
+  assert.deepEqual(await runOnce('k', async () => ({ noteId: 'note-2' }), { store }), { result: { noteId: 'note-2' }, replayed: false });
+});
+
+test('finished keys expire after the window', async () => {
+  const store = createMemoryStore();
+  await store.set('k', { state: 'done', result: { noteId: 'old' }, expiresAt: Date.now() - 1 });
+
+  assert.deepEqual(await runOnce('k', async () => ({ noteId: 'new' }), { store }), { result: { noteId: 'new' }, replayed: false });
+});
+
+test('the file store keeps keys across instances and drops expired ones', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'idempotency-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'keys.json');
+
+  await runOnce('k', async () => ({ noteId: 'note-1' }), { store: createFileStore(file) });
+  assert.deepEqual(await runOnce('k', async () => ({ noteId: 'note-2' }), { store: createFileStore(file) }), { result: { noteId: 'note-1' }, replayed: true });
+
+  const store = createFileStore(file);
+  await store.set('stale', { state: 'done', expiresAt: Date.now() - 1 });
+  await store.add('other', { state: 'pending', expiresAt: Date.now() + 1000 });
+  assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8'))).sort(), ['k', 'other']);
+});
+
+test('the kv store shares keys between instances and lets them expire', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.UTC(2025, 2, 5) });
+  const kv = fakeKv();
+  const instance = () => createKvStore(createKvClient('letters:idempotency:', { config: KV_CONFIG, http: kv.http }));
+
+  let finish;
+  const first = runOnce('k', () => new Promise(resolve => { finish = resolve; }), { store: instance(), ttlHours: 1 });
+  await assert.rejects(runOnce('k', async () => ({}), { store: instance() }), (err) => err instanceof HttpError && err.status === 409);
+  finish({ noteId: 'note-1' });
+  await first;
+
+  assert.deepEqual(await runOnce('k', async () => ({ noteId: 'note-2' }), { store: instance() }), { result: { noteId: 'note-1' }, replayed: true });
+  t.mock.timers.tick(60 * 60 * 1000);
+  assert.deepEqual(await runOnce('k', async () => ({ noteId: 'note-3' }), { store: instance() }), { result: { noteId: 'note-3' }, replayed: false });
+});
+
+test('webhook retries do not upload a second letter', async () => {
+  const calls = stubLetterDependencies({
+    uploadPDF: async () => ({ url: 'https://files.example/letter.pdf' }),
+    createNote: async () => ({ id: 'note-1' }),
+    fetchAssociatedEnrollments: async () => [],
+    generatePDF: async () => Buffer.from(await (await PDFDocument.create()).save())
+  });
+  process.env.SKIP_HUBSPOT_SIGNATURE = 'true';
+  process.env.VERIFICATION_STORE = 'memory';
+  delete process.env.VERCEL_ENV;
+
+  const { letterHandler } = require('../shared/letter');
+  const issue = () => send(letterHandler, {
+    query: { type: 'enrollment' },
+    body: { ...payload, student_id: 'S-1', location: 'Mississauga', course_start_date: '1736121600000', course_end_date: '1743120000000' }
+  });
+
+  const first = await issue();
+  const retry = await issue();
+
+  assert.equal(first.statusCode, 200);
+  assert.equal(retry.statusCode, 200);
+  assert.equal(retry.body.noteId, 'note-1');
+  assert.equal(retry.body.fileUrl, 'https://files.example/letter.pdf');
+  assert.equal(retry.body.replayed, true);
+  assert.equal(retry.body.documentId, first.body.documentId);
+  assert.equal(retry.headers['idempotent-replayed'], 'true');
+  assert.deepEqual(calls, ['generatePDF', 'uploadPDF', 'createNote']);
+});
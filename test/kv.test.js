@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isKvConfigured, createKvClient } = require('../shared/kv');
+const { KV_CONFIG, fakeKv } = require('./helpers/kv');
+
+test('values are stored as JSON under the client prefix', async () => {
+  const kv = fakeKv();
+  const client = createKvClient('letters:test:', { config: KV_CONFIG, http: kv.http });
+
+  assert.equal(await client.add('a', { n: 1 }), true);
+  assert.equal(await client.add('a', { n: 2 }), false);
+  assert.deepEqual(await client.get('a'), { n: 1 });
+  assert.equal(await client.get('missing'), null);
+
+  await client.set('a', { n: 3 });
+  await client.delete('missing');
+  assert.deepEqual(await client.get('a'), { n: 3 });
+  assert.deepEqual([...kv.values.keys()], ['letters:test:a']);
+  assert.deepEqual(kv.commands[0], ['SET', 'letters:test:a', '{"n":1}', 'NX']);
+});
+
+test('keys with a ttl expire', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const kv = fakeKv();
+  const client = createKvClient('letters:test:', { config: KV_CONFIG, http: kv.http });
+
+  assert.equal(await client.add('a', 1, { ttlMs: 1000.4 }), true);
+  assert.deepEqual(kv.commands[0].slice(-2), ['PX', '1001']);
+  t.mock.timers.tick(1001);
+  assert.equal(await client.get('a'), null);
+  assert.equal(await client.add('a', 2, { ttlMs: 1000 }), true);
+});
+
+test('store errors name the command', async () => {
+  const client = createKvClient('letters:test:', { config: { ...KV_CONFIG, token: 'wrong' }, http: fakeKv().http });
+  await assert.rejects(client.get('a'), /KV GET failed: Unauthorized/);
+
+  const offline = createKvClient('letters:test:', { config: KV_CONFIG, http: { post: async () => { throw new Error('getaddrinfo ENOTFOUND kv.example'); } } });
+  await assert.rejects(offline.set('a', 1), /KV SET failed: getaddrinfo ENOTFOUND/);
+});
+
+test('the store is configured from the environment', (t) => {
+  const saved = { ...process.env };
+  t.after(() => { process.env = saved; });
+  for (const name of ['KV_REST_API_URL', 'KV_REST_API_TOKEN', 'UPSTASH_REDIS_REST_URL', 'UPSTASH_REDIS_REST_TOKEN']) delete process.env[name];
+
+  assert.equal(isKvConfigured(), false);
+  assert.throws(() => createKvClient('letters:test:'), /KV_REST_API_URL and KV_REST_API_TOKEN must be set/);
+
+  process.env.KV_REST_API_URL = 'https://kv.example';
+  assert.equal(isKvConfigured(), false);
+  process.env.UPSTASH_REDIS_REST_TOKEN = 'kv-token';
+  assert.equal(isKvConfigured(), true);
+});
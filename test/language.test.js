@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { resolveLanguages, loadCatalogs, catalogProblems, listLanguages, message, messageHtml } = require('../shared/language');
+const { formatLongDate, formatIssueDate } = require('../shared/format');
+const { HttpError } = require('../shared/errors');
+
+const languages = (data) => {
+  const warnings = [];
+  return { languages: resolveLanguages(data, warnings), warnings };
+};
+
+test('letters are in English unless a language is requested or preferred', () => {
+  assert.deepEqual(languages({}), { languages: ['en'], warnings: [] });
+  assert.deepEqual(languages({ language: 'fr' }).languages, ['fr']);
+  assert.deepEqual(languages({ hs_language: 'fr-ca' }).languages, ['fr']);
+  // The request wins over the contact's preference
+  assert.deepEqual(languages({ language: 'en', hs_language: 'fr' }).languages, ['en']);
+  // Regional values without their own catalog use the language's
+  assert.deepEqual(languages({ hs_language: 'es-MX' }).languages, ['es']);
+  assert.deepEqual(languages({ language: 'pt_BR' }).languages, ['pt']);
+});
+
+test('an unavailable preferred language falls back to English with a warning', () => {
+  const { languages: result, warnings } = languages({ hs_language: 'de' });
+  assert.deepEqual(result, ['en']);
+  assert.match(warnings[0], /"de" is not available/);
+});
+
+test('bilingual letters print the letter language first, then English', () => {
+  assert.deepEqual(languages({ language: 'fr', bilingual: true }).languages, ['fr', 'en']);
+  assert.deepEqual(languages({ hs_language: 'fr', bilingual: true }).languages, ['fr', 'en']);
+  assert.deepEqual(languages({ language: 'fr', bilingual: false }).languages, ['fr']);
+});
+
+test('bad language requests are rejected', () => {
+  for (const data of [{ language: 'de' }, { language: 'fr', bilingual: 'yes' }, { bilingual: true }, { language: 'en', bilingual: true }]) {
+    assert.throws(() => resolveLanguages(data, []), (err) => err instanceof HttpError && err.status === 400, JSON.stringify(data));
+  }
+});
+
+test('dates follow the letter language', () => {
+  assert.equal(formatLongDate('2025-03-01'), 'March 01, 2025');
+  assert.equal(formatLongDate('2025-03-01', { language: 'fr' }), '1er mars 2025');
+  assert.equal(formatLongDate('2025-01-06', { language: 'fr' }), '6 janvier 2025');
+  assert.equal(formatLongDate('2025-01-06'), 'January 06, 2025');
+  assert.equal(formatIssueDate('2025-03-05'), 'March 5, 2025');
+  assert.equal(formatIssueDate('2025-03-05', 'fr'), '5 mars 2025');
+  assert.equal(formatIssueDate('2025-08-01', 'fr'), '1er août 2025');
+  assert.equal(formatIssueDate('2025-03-05', 'es'), '5 de marzo de 2025');
+  assert.equal(formatIssueDate('2025-03-05', 'pt'), '5 de março de 2025');
+  assert.equal(formatLongDate('2025-01-06', { language: 'ar' }), '6 يناير 2025');
+});
+
+// Catalogs written to a temporary config/locales
+const catalogDir = (catalogs) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'locales-'));
+  for (const [language, catalog] of Object.entries(catalogs)) {
+    fs.writeFileSync(path.join(dir, `${language}.json`), JSON.stringify(catalog));
+  }
+  return dir;
+};
+
+const english = {
+  meta: { name: 'English', locale: 'en-US', direction: 'ltr', day: '2-digit' },
+  recipient: { date: 'Date: {date}', toWhom: 'To Whom It May Concern' },
+  courses: { heading: { one: 'Course:', other: 'Courses:' } }
+};
+
+test('every shipped catalog is complete', () => {
+  assert.deepEqual(listLanguages(), ['ar', 'en', 'es', 'fr', 'pt']);
+  for (const language of listLanguages()) {
+    assert.deepEqual(catalogProblems(language), [], language);
+  }
+});
+
+test('missing messages fall back to the parent language, then English', () => {
+  const dir = catalogDir({
+    en: english,
+    pt: { meta: { name: 'Português', locale: 'pt-PT', direction: 'ltr', day: 'numeric' }, recipient: { date: 'Data: {date}' } },
+    'pt-BR': { meta: { name: 'Português (Brasil)', locale: 'pt-BR' }, recipient: { toWhom: 'A quem possa interessar' } }
+  });
+  try {
+    const catalogs = loadCatalogs(dir);
+    const text = (key, params) => message('pt-BR', key, params, { catalogs });
+    assert.equal(text('recipient.toWhom'), 'A quem possa interessar');
+    assert.equal(text('recipient.date', { date: '5 de março de 2025' }), 'Data: 5 de março de 2025');
+    assert.equal(text('courses.heading', { count: 2 }), 'Courses:');
+    // Regional catalogs inherit the parent's meta
+    assert.equal(catalogs.get('pt-BR').meta.day, 'numeric');
+    assert.deepEqual(catalogProblems('pt-BR', catalogs), ['courses.heading: not translated']);
+    assert.deepEqual(catalogProblems('pt', catalogs), ['recipient.toWhom: not translated', 'courses.heading: not translated']);
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+});
+
+test('the check flags mistakes a translator can make', () => {
+  const dir = catalogDir({
+    en: english,
+    es: {
+      meta: { name: 'Español', locale: 'es-ES', direction: 'ltr', day: 'numeric' },
+      recipient: { date: 'Fecha: {fecha}', toWhom: '**A quien corresponda', greeting: 'Hola' },
+      courses: { heading: { one: 'Curso:' } }
+    }
+  });
+  try {
+    assert.deepEqual(catalogProblems('es', loadCatalogs(dir)), [
+      'recipient.date: placeholders {fecha}, English has {date}',
+      'recipient.toWhom: unbalanced **',
+      'recipient.greeting: not in en.json',
+      'courses.heading: plural forms need "other"'
+    ]);
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+});
+
+test('catalogs that would break letters fail at load', () => {
+  for (const [catalogs, error] of [
+    [{ es: english }, /en\.json is required/],
+    [{ en: english, ar: { meta: { name: 'العربية', locale: 'ar', direction: 'right', day: 'numeric' } } }, /ar\.json: meta needs a valid direction/],
+    [{ en: { ...english, meta: { ...english.meta, locale: 'not a locale' } } }, /en\.json: meta needs a valid locale/]
+  ]) {
+    const dir = catalogDir(catalogs);
+    try {
+      assert.throws(() => loadCatalogs(dir), error);
+    } finally {
+      fs.rmSync(dir, { recursive: true });
+    }
+  }
+});
+
+test('plural forms follow each language\'s rules', () => {
+  assert.equal(message('en', 'courses.heading', { count: 1 }), 'Course:');
+  assert.equal(message('en', 'courses.heading', { count: 8 }), 'Courses:');
+  assert.equal(message('ar', 'courses.heading', { count: 1 }), 'الدورة:');
+  assert.equal(message('ar', 'courses.heading', { count: 2 }), 'الدورتان:');
+  // Arabic "few" is not in the catalog and falls back to "other"
+  assert.equal(message('ar', 'courses.heading', { count: 3 }), 'الدورات:');
+});
+
+test('HTML messages escape text and values but keep bold and trusted markup', () => {
+  assert.equal(
+    messageHtml('en', 'courses.line', { name: '<b>AFK</b>', duration: '**x**' }),
+    '<strong>&lt;b&gt;AFK&lt;/b&gt;:</strong> **x**.'
+  );
+  assert.equal(
+    messageHtml('es', 'footer.page', {}, { page: '<span class="pageNumber"></span>', total: '<span class="totalPages"></span>' }),
+    'Página <span class="pageNumber"></span> de <span class="totalPages"></span>'
+  );
+  // A value cannot fill another placeholder
+  assert.equal(message('en', 'recipient.subject', { title: '{title}' }), 'Subject: {title}');
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadLocations, resolveLocation, timeZoneOf, localizeLocation } = require('../shared/locations');
+const { LookupError } = require('../shared/errors');
+
+const key = (value, options) => resolveLocation(value, options).location.key;
+
+test('campus keys and aliases resolve strictly', () => {
+  assert.equal(key('Vancouver'), 'Vancouver');
+  assert.equal(key(' montreal '), 'Montreal');
+  assert.equal(key('B9'), 'Mississauga');
+  assert.equal(key('Online'), 'Mississauga');
+});
+
+test('unknown locations are rejected by default', () => {
+  for (const value of ['Vancover', 'Toronto', '', undefined, null]) {
+    assert.throws(() => resolveLocation(value), (err) => {
+      assert.ok(err instanceof LookupError);
+      assert.ok(err.details.validLocations.includes('Calgary'));
+      assert.ok(err.details.validLocations.includes('B9'));
+      return true;
+    });
+  }
+});
+
+test('the default policy falls back to the default campus without flagging', () => {
+  const { location, review } = resolveLocation('Vancover', { policy: 'default' });
+  assert.equal(location.key, 'Mississauga');
+  assert.equal(review, null);
+});
+
+test('the review policy falls back and flags the letter', () => {
+  const { location, review } = resolveLocation('Vancover', { policy: 'review' });
+  assert.equal(location.key, 'Mississauga');
+  assert.match(review, /Unknown location "Vancover"/);
+});
+
+test('UNKNOWN_LOCATION_POLICY overrides the registry policy', (t) => {
+  process.env.UNKNOWN_LOCATION_POLICY = 'review';
+  t.after(() => { delete process.env.UNKNOWN_LOCATION_POLICY; });
+  assert.ok(resolveLocation('Nowhere').review);
+
+  process.env.UNKNOWN_LOCATION_POLICY = 'sometimes';
+  assert.throws(() => resolveLocation('Nowhere'), /UNKNOWN_LOCATION_POLICY must be one of/);
+});
+
+test('campuses carry their letterhead details', () => {
+  const { location } = resolveLocation('Montreal');
+  assert.equal(location.province, 'QC');
+  assert.ok(location.footerAddress.includes('Saint-Laurent'));
+  assert.ok(location.phone);
+});
+
+const campus = (key, extra = {}) => ({
+  key, displayName: key, address: 'a', province: 'ON', phone: 'p', email: 'e', footerAddress: 'f', timeZone: 'America/Toronto', ...extra
+});
+
+test('campuses print translated fields in French letters', () => {
+  const { location } = resolveLocation('Montreal');
+  assert.equal(localizeLocation(location, 'fr').displayName, 'Montréal');
+  assert.equal(localizeLocation(location, 'fr').address, location.address);
+  assert.equal(localizeLocation(location, 'en').displayName, 'Montreal');
+});
+
+test('registry mistakes are caught at load time', () => {
+  assert.throws(() => loadLocations({ version: 't', defaultLocation: 'A', locations: [
+    campus('A', { aliases: ['B9'] }), campus('B', { aliases: ['b9'] })
+  ] }), /"b9" on B conflicts with A/);
+  assert.throws(() => loadLocations({ version: 't', defaultLocation: 'Z', locations: [campus('A')] }), /defaultLocation "Z"/);
+  assert.throws(() => loadLocations({ version: 't', defaultLocation: 'A', unknownLocationPolicy: 'maybe', locations: [campus('A')] }), /unknownLocationPolicy/);
+  assert.throws(() => loadLocations({ version: 't', defaultLocation: 'A', locations: [campus('A', { address: '' })] }), /missing address/);
+  assert.throws(() => loadLocations({ version: 't', defaultLocation: 'A', locations: [campus('A', { translations: { de: { displayName: 'A' } } })] }), /unknown language "de"/);
+  assert.throws(() => loadLocations({ version: 't', defaultLocation: 'A', locations: [campus('A', { translations: { fr: { phone: '1' } } })] }), /translates phone/);
+  assert.throws(() => loadLocations({ version: 't', defaultLocation: 'A', locations: [campus('A', { timeZone: 'Canada/Montreal' })] }), /unknown timeZone "Canada\/Montreal"/);
+  assert.throws(() => loadLocations({ version: 't', defaultLocation: 'A', locations: [campus('A', { timeZone: undefined })] }), /missing timeZone/);
+});
+
+test('each campus has its time zone, unknown locations the default campus\'s', () => {
+  assert.equal(timeZoneOf('Vancouver'), 'America/Vancouver');
+  assert.equal(timeZoneOf('Calgary'), 'America/Edmonton');
+  assert.equal(timeZoneOf('Montreal'), 'America/Toronto');
+  assert.equal(timeZoneOf('B9'), 'America/Toronto');
+  assert.equal(timeZoneOf('Vancover'), 'America/Toronto');
+  assert.equal(timeZoneOf(undefined), 'America/Toronto');
+});
+
+test('a custom registry can be passed to resolveLocation', () => {
+  const registry = loadLocations({ version: 't', defaultLocation: 'A', unknownLocationPolicy: 'default', locations: [campus('A'), campus('B')] });
+  assert.equal(key('b', { registry }), 'B');
+  assert.equal(key('c', { registry }), 'A');
+});
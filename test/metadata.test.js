@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { letterMetadata } = require('../shared/metadata');
+const { finishPDF } = require('../shared/pdf');
+const { pdfaProblems } = require('../shared/pdfa');
+
+// pdf.js reads document properties the way indexers and viewers do
+const pdfjs = import('pdfjs-dist/legacy/build/pdf.mjs');
+
+const properties = async (pdf, password) => {
+  const { getDocument } = await pdfjs;
+  return (await getDocument({ data: new Uint8Array(pdf), password, verbosity: 0 }).promise).getMetadata();
+};
+
+const chromiumLetter = fs.readFileSync(path.join(__dirname, 'fixtures', 'letter.pdf'));
+
+const letter = { type: 'completion-all', title: 'Letter of Completion' };
+const data = { student_id: 'TEST001', recordID: '101' };
+const courses = [
+  { name: 'AFK Course', code: 'AFK', hubspotId: '3001' },
+  { name: 'ACJ Course', code: 'ACJ', hubspotId: '3002' },
+  { name: 'AFK Course', code: 'AFK', hubspotId: '3003' }
+];
+const metadata = letterMetadata(letter, data, {
+  documentId: '0A1B2-C3D4E-F5G6H-7J8K9',
+  issueDate: '2025-03-05',
+  studentName: 'Zoë Tremblay',
+  courses
+});
+
+const finish = (options = {}) => finishPDF(chromiumLetter, { metadata, signing: {}, ...options }, { identity: null });
+
+test('letter properties come from the letter type and data', () => {
+  assert.deepEqual(metadata, {
+    title: 'Letter of Completion – Student TEST001',
+    author: 'Prep Doctors Institute',
+    subject: 'Letter of Completion for Zoë Tremblay, issued 2025-03-05',
+    keywords: ['AFK', 'ACJ'],
+    custom: {
+      DocumentID: '0A1B2-C3D4E-F5G6H-7J8K9',
+      LetterType: 'completion-all',
+      StudentID: 'TEST001',
+      EnrollmentRecordID: '3001, 3002, 3003',
+      IssueDate: '2025-03-05'
+    }
+  });
+});
+
+test('issued PDFs carry the properties in the info dictionary and XMP', async () => {
+  const { info, metadata: xmp } = await properties(await finish());
+
+  assert.equal(info.Title, 'Letter of Completion – Student TEST001');
+  assert.equal(info.Author, 'Prep Doctors Institute');
+  assert.equal(info.Subject, 'Letter of Completion for Zoë Tremblay, issued 2025-03-05');
+  assert.equal(info.Keywords, 'AFK, ACJ');
+  assert.deepEqual(info.Custom, metadata.custom);
+  // Chromium's own properties are kept
+  assert.equal(info.Creator, 'Chromium');
+
+  assert.equal(xmp.get('dc:title'), 'Letter of Completion – Student TEST001');
+  assert.deepEqual(xmp.get('dc:creator'), ['Prep Doctors Institute']);
+  assert.equal(xmp.get('pdf:keywords'), 'AFK, ACJ');
+  assert.equal(xmp.get('letter:documentid'), '0A1B2-C3D4E-F5G6H-7J8K9');
+  assert.equal(xmp.get('letter:enrollmentrecordid'), '3001, 3002, 3003');
+});
+
+test('archival letters describe the custom properties for PDF/A', async () => {
+  const archived = await finish({ archival: true });
+  assert.deepEqual(await pdfaProblems(archived), []);
+  assert.match(archived.toString('utf8'), /<pdfaSchema:namespaceURI>http:\/\/ns\.prepdoctors\.ca\/letter\/1\.0\/<\/pdfaSchema:namespaceURI>/);
+  assert.equal((await properties(archived)).info.Custom.DocumentID, '0A1B2-C3D4E-F5G6H-7J8K9');
+});
+
+test('properties of password-protected letters are encrypted too', async () => {
+  // The title carries the student ID, which can be the open password
+  const encrypted = await finish({ encryption: { userPassword: 'TEST001', ownerPassword: 'owner', permissions: ['print'] } });
+  assert.doesNotMatch(encrypted.toString('latin1'), /TEST001|DocumentID>/);
+  assert.equal((await properties(encrypted, 'TEST001')).info.Title, 'Letter of Completion – Student TEST001');
+});
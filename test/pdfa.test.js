@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const forge = require('node-forge');
+const { PDFDocument, PDFName } = require('pdf-lib');
+
+const { resolveArchival, convertToPdfA, pdfaProblems } = require('../shared/pdfa');
+const { finishPDF } = require('../shared/pdf');
+const { HttpError } = require('../shared/errors');
+
+// A letter as Chromium renders it (templates/enrollment.ejs, placeholder images)
+const chromiumLetter = fs.readFileSync(path.join(__dirname, 'fixtures', 'letter.pdf'));
+
+const archive = (pdf, options = {}) => finishPDF(pdf, { signing: {}, archival: true, ...options }, { identity: null });
+
+const rewrite = async (pdf, edit) => {
+  const doc = await PDFDocument.load(pdf, { updateMetadata: false });
+  edit(doc);
+  return Buffer.from(await doc.save({ useObjectStreams: false }));
+};
+
+const identity = () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = forge.pki.publicKeyFromPem(publicKey.export({ type: 'spki', format: 'pem' }));
+  cert.serialNumber = '01';
+  cert.validity.notAfter = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  cert.setSubject([{ name: 'commonName', value: 'Prep Doctors Institute Test' }]);
+  cert.setIssuer(cert.subject.attributes);
+  cert.sign(forge.pki.privateKeyFromPem(privateKey.export({ type: 'pkcs1', format: 'pem' })), forge.md.sha256.create());
+  return { privateKey, certificate: cert, chain: [cert] };
+};
+
+test('the validator rejects the PDF Chromium renders', async () => {
+  assert.deepEqual(await pdfaProblems(chromiumLetter), [
+    'trailer has no file ID',
+    'catalog has no XMP metadata',
+    'catalog has no GTS_PDFA1 output intent'
+  ]);
+});
+
+test('archival letters are PDF/A-2b, signed or not', async () => {
+  const archived = await archive(chromiumLetter);
+  assert.deepEqual(await pdfaProblems(archived), []);
+  assert.match(archived.subarray(0, 9).toString('latin1'), /^%PDF-1\.7\n/);
+
+  const signing = { reason: 'Letter of Enrollment 0A1B2-C3D4E-F5G6H-7J8K9', location: 'Mississauga', contactInfo: 'info@prepdoctors.ca' };
+  const signed = await finishPDF(chromiumLetter, { signing, archival: true }, { identity: identity() });
+  assert.match(signed.toString('latin1'), /\/SubFilter \/ETSI\.CAdES\.detached/);
+  assert.deepEqual(await pdfaProblems(signed), []);
+});
+
+test('XMP metadata matches the document info', async () => {
+  const archived = await rewrite(chromiumLetter, (doc) => {
+    doc.setTitle('Letter of Completion – Zoë & "Tremblay"');
+    doc.setAuthor('Prep Doctors Institute');
+    doc.setKeywords(['AFK', 'MCCQE1']);
+    convertToPdfA(doc);
+  });
+  assert.deepEqual(await pdfaProblems(archived), []);
+
+  const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const { metadata } = await (await getDocument({ data: new Uint8Array(archived), verbosity: 0 }).promise).getMetadata();
+  assert.equal(metadata.get('dc:title'), 'Letter of Completion – Zoë & "Tremblay"');
+  assert.equal(metadata.get('pdfaid:part'), '2');
+  assert.equal(metadata.get('pdfaid:conformance'), 'B');
+
+  const edited = await rewrite(archived, doc => doc.setTitle('Letter of Enrollment'));
+  assert.deepEqual(await pdfaProblems(edited), ['info Title does not match XMP dc:title']);
+});
+
+test('the validator fails letters that break PDF/A rules', async () => {
+  const helvetica = await PDFDocument.create();
+  helvetica.addPage().drawText('Letter of Enrollment');
+  assert.ok((await pdfaProblems(await archive(Buffer.from(await helvetica.save())))).includes('font Helvetica is not embedded'));
+
+  const archived = await archive(chromiumLetter);
+  const scripted = await rewrite(archived, (doc) => {
+    doc.catalog.set(PDFName.of('OpenAction'), doc.context.obj({ S: 'JavaScript', JS: 'print()' }));
+    doc.getPages()[0].node.addAnnot(doc.context.register(doc.context.obj({ Type: 'Annot', Subtype: 'Link', Rect: [0, 0, 10, 10], F: 2 })));
+  });
+  assert.deepEqual(await pdfaProblems(scripted), ['document has a JavaScript action', 'Link annotation is not set to print']);
+
+  const encrypted = await finishPDF(chromiumLetter, { signing: {}, encryption: { userPassword: '', ownerPassword: 'owner', permissions: [] } }, { identity: null });
+  assert.ok((await pdfaProblems(encrypted)).includes('file is encrypted'));
+});
+
+test('archival is set per letter type or request and excludes encryption', () => {
+  const letter = { type: 'completion', title: 'Letter of Completion' };
+  assert.equal(resolveArchival(letter, {}, null), false);
+  assert.equal(resolveArchival({ ...letter, archival: true }, {}, null), true);
+  assert.equal(resolveArchival({ ...letter, archival: true }, { archival: false }, { userPassword: '' }), false);
+
+  for (const [data, encryption] of [[{ archival: 'yes' }, null], [{ archival: true }, { userPassword: 'S-1' }]]) {
+    assert.throws(() => resolveArchival(letter, data, encryption), (err) => err instanceof HttpError && err.status === 400);
+  }
+});
+
+// VERAPDF=/path/to/verapdf runs the reference validator as well
+test('veraPDF accepts archival letters', { skip: !process.env.VERAPDF && 'set VERAPDF to the veraPDF CLI' }, async () => {
+  const file = path.join(os.tmpdir(), `letter-pdfa-${process.pid}.pdf`);
+  fs.writeFileSync(file, await archive(chromiumLetter));
+  try {
+    const report = execFileSync(process.env.VERAPDF, ['--flavour', '2b', '--format', 'text', file], { encoding: 'utf8' });
+    assert.match(report, /^PASS /m);
+  } finally {
+    fs.unlinkSync(file);
+  }
+});
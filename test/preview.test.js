@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { stubLetterDependencies, send: sendTo } = require('./helpers/letter-handler');
+
+// HubSpot and Puppeteer calls are recorded; a preview may only render
+const calls = stubLetterDependencies({
+  uploadPDF: async () => {},
+  createNote: async () => {},
+  fetchAssociatedEnrollments: async () => {},
+  generatePDF: async () => Buffer.from('%PDF-1.4 preview')
+});
+
+const { letterHandler } = require('../shared/letter');
+
+const payload = {
+  firstname: 'Jane',
+  lastname: 'Doe',
+  recordID: '101',
+  student_id: 'S-1',
+  location: 'Mississauga',
+  course_id: 'AFK-Jan25',
+  enrollment_record_id: '202',
+  course_start_date: '1736121600000',
+  course_end_date: '1743120000000'
+};
+
+const send = ({ query, headers = {}, body = payload }) => sendTo(letterHandler, { query, headers, body });
+
+const authorized = { authorization: 'Bearer preview-secret' };
+
+test.beforeEach(() => {
+  calls.length = 0;
+  process.env.PREVIEW_API_KEY = 'preview-secret';
+  delete process.env.SKIP_HUBSPOT_SIGNATURE;
+});
+
+test('PDF preview is returned inline without touching HubSpot', async () => {
+  const res = await send({ query: { type: 'enrollment', preview: 'pdf' }, headers: authorized });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['content-type'], 'application/pdf');
+  assert.equal(res.headers['content-disposition'], 'inline; filename="Letter_of_Enrollment_S-1_202.pdf"');
+  assert.equal(res.headers['cache-control'], 'no-store');
+  assert.equal(res.body.toString(), '%PDF-1.4 preview');
+  assert.deepEqual(calls, ['generatePDF']);
+});
+
+test('HTML preview skips Puppeteer too', async () => {
+  const res = await send({ query: { type: 'enrollment', preview: 'html' }, headers: authorized });
+
+  assert.equal(res.statusCode, 200);
+  assert.match(res.headers['content-type'], /^text\/html/);
+  assert.match(res.headers['content-security-policy'], /default-src 'none'/);
+  assert.match(res.body, /Jane Doe/);
+  assert.deepEqual(calls, []);
+});
+
+test('course dates print as entered in HubSpot at every campus', async () => {
+  // Webhooks send date pickers as midnight UTC, the evening before in Toronto
+  for (const location of ['Mississauga', 'Vancouver']) {
+    const res = await send({ query: { type: 'enrollment', preview: 'html' }, headers: authorized, body: { ...payload, location } });
+
+    assert.equal(res.statusCode, 200);
+    assert.match(res.body, /January 06, 2025 to March 28, 2025/, location);
+  }
+});
+
+test('a course date that cannot be read is a 400 naming the field', async () => {
+  const res = await send({ query: { type: 'enrollment', preview: 'html' }, headers: authorized, body: { ...payload, course_end_date: 'next spring' } });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.field, 'course_end_date');
+  assert.match(res.body.message, /course_end_date/);
+
+  // A time of day on a date picker means the property is not what config/date-properties.json says
+  const mistyped = await send({ query: { type: 'enrollment', preview: 'html' }, headers: authorized, body: { ...payload, course_start_date: '1736136000000' } });
+  assert.equal(mistyped.statusCode, 400);
+  assert.equal(mistyped.body.field, 'course_start_date');
+});
+
+test('previews need the preview API key', async () => {
+  for (const headers of [{}, { authorization: 'Bearer wrong' }, { authorization: 'preview-secret' }]) {
+    const res = await send({ query: { type: 'enrollment', preview: 'pdf' }, headers });
+    assert.equal(res.statusCode, 401);
+  }
+
+  delete process.env.PREVIEW_API_KEY;
+  const res = await send({ query: { type: 'enrollment', preview: 'pdf' }, headers: authorized });
+  assert.equal(res.statusCode, 403);
+  assert.deepEqual(calls, []);
+});
+
+test('a preview key does not authorize issuing a letter', async () => {
+  process.env.HUBSPOT_CLIENT_SECRET = 'client-secret';
+  const res = await send({ query: { type: 'enrollment' }, headers: authorized });
+
+  assert.equal(res.statusCode, 401);
+  assert.deepEqual(calls, []);
+});
+
+test('preview payloads are validated like real requests', async () => {
+  const res = await send({ query: { type: 'enrollment', preview: 'html' }, headers: authorized, body: { ...payload, course_id: 'XYZ' } });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.success, false);
+});
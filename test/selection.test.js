@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolveSelection, selectCourses, selectionErrors, MAX_LISTED_ENROLLMENTS } = require('../shared/selection');
+const { getLetterType } = require('../shared/registry');
+const { HttpError } = require('../shared/errors');
+
+const course = (id, { code = 'AFK', start = '2025-01-06', end = '2025-03-28', created = '2024-12-01', campusKey = 'Mississauga' } = {}) =>
+  ({ hubspotId: id, code, startDate: start, endDate: end, createDate: new Date(created), campusKey });
+
+const ids = (courses) => courses.map(c => c.hubspotId);
+const select = (type, courses, requested, issueDate = '2025-06-01') =>
+  ids(selectCourses(courses, resolveSelection(getLetterType(type), requested), issueDate));
+
+test('enrollment letters list the most recently created courses', () => {
+  const courses = Array.from({ length: 10 }, (_, i) => course(`e${i}`, { created: `2024-01-${String(i + 10)}` }));
+  assert.deepEqual(select('enrollment-all', courses), ['e9', 'e8', 'e7', 'e6', 'e5', 'e4', 'e3', 'e2']);
+});
+
+test('completion letters only list courses that have ended by the issue date', () => {
+  const courses = [
+    course('past', { end: '2025-03-28' }),
+    course('today', { end: '2025-06-01' }),
+    course('future', { end: '2025-09-30' })
+  ];
+  assert.deepEqual(select('completion-all', courses), ['past', 'today']);
+  assert.deepEqual(select('completion-all', courses, undefined, '2025-01-01'), []);
+  assert.deepEqual(select('enrollment-all', courses, { window: 'not-ended' }), ['today', 'future']);
+});
+
+test('callers choose the sort key, order and count', () => {
+  const courses = [
+    course('a', { start: '2025-05-01', end: '2025-08-01', created: '2025-01-01' }),
+    course('b', { start: '2025-02-01', end: '2025-09-01', created: '2025-03-01' }),
+    course('c', { start: '2025-03-01', end: '2025-07-01', created: '2025-02-01' })
+  ];
+  assert.deepEqual(select('enrollment-all', courses, { sortBy: 'course_start_date', order: 'asc' }), ['b', 'c', 'a']);
+  assert.deepEqual(select('enrollment-all', courses, { sortBy: 'course_end_date', maxCount: 2 }), ['b', 'a']);
+});
+
+test('course codes and campuses filter the list', () => {
+  const courses = [
+    course('afk', { code: 'AFK' }),
+    course('acj', { code: 'ACJ', campusKey: 'Vancouver' }),
+    course('sim', { code: 'Sim', campusKey: null })
+  ];
+  assert.deepEqual(select('enrollment-all', courses, { includeCodes: ['AFK', 'ACJ'] }).sort(), ['acj', 'afk']);
+  assert.deepEqual(select('enrollment-all', courses, { excludeCodes: ['AFK'] }).sort(), ['acj', 'sim']);
+  assert.deepEqual(select('enrollment-all', courses, { locations: ['B9'] }), ['afk'], 'aliases name their campus');
+});
+
+test('invalid caller selections are rejected with 400', () => {
+  const cases = [
+    [{ maxCount: 0 }, /maxCount/],
+    [{ maxCount: MAX_LISTED_ENROLLMENTS + 1 }, /maxCount/],
+    [{ sortBy: 'name' }, /sortBy/],
+    [{ order: 'newest' }, /order/],
+    [{ window: 'past' }, /window/],
+    [{ includeCodes: 'AFK' }, /includeCodes must be a non-empty list/],
+    [{ excludeCodes: ['XYZ'] }, /excludeCodes has unknown values: XYZ/],
+    [{ locations: ['Toronto'] }, /locations has unknown values: Toronto/],
+    [{ limit: 3 }, /unknown field "limit"/],
+    ['newest', /must be an object/]
+  ];
+  for (const [requested, message] of cases) {
+    assert.throws(() => resolveSelection(getLetterType('enrollment-all'), requested), (err) => {
+      assert.ok(err instanceof HttpError);
+      assert.equal(err.status, 400);
+      assert.match(err.body.details.join('\n'), message);
+      return true;
+    });
+  }
+});
+
+test('caller fields override the letter type, the rest is kept', () => {
+  const selection = resolveSelection(getLetterType('completion-all'), { maxCount: 3 });
+  assert.deepEqual(selection, { maxCount: 3, sortBy: 'createdate', order: 'desc', window: 'ended' });
+});
+
+test('every registry selection is valid', () => {
+  for (const type of ['enrollment-all', 'completion-all', 'roadmap-acceptance']) {
+    assert.deepEqual(selectionErrors(getLetterType(type).selection), [], type);
+  }
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadSignatories, resolveSignatory } = require('../shared/signatories');
+
+const person = (name) => ({
+  name, title: 'Manager', phone: '+1 855-397-7737', email: 'info@prepdoctors.ca', signature: `signatures/${name}.png`
+});
+
+const registry = loadSignatories({
+  version: 't',
+  signatories: { old: person('Old'), current: person('Current'), west: person('West'), completion: person('Completion') },
+  assignments: [
+    { signatory: 'completion', letterTypes: ['completion', 'completion-all'], from: '2025-01-01' },
+    { signatory: 'west', locations: ['Vancouver', 'Calgary'] },
+    { signatory: 'old', until: '2024-12-31' },
+    { signatory: 'current' }
+  ]
+}, { locationKeys: ['Mississauga', 'Vancouver', 'Calgary'] });
+
+const signer = (letter) => resolveSignatory({ letterType: 'enrollment', location: 'Mississauga', issueDate: '2025-06-01', ...letter }, { registry }).key;
+
+test('the configured registry signs every letter type', () => {
+  const signatory = resolveSignatory({ letterType: 'enrollment', location: 'Mississauga', issueDate: '2025-06-01' });
+  assert.equal(signatory.name, 'Dipty Missra');
+  assert.equal(signatory.signature, 'signatures/dipty-missra.jpg');
+});
+
+test('the first matching assignment wins', () => {
+  assert.equal(signer({}), 'current');
+  assert.equal(signer({ letterType: 'completion' }), 'completion');
+  assert.equal(signer({ location: 'Vancouver' }), 'west');
+  assert.equal(signer({ location: 'Vancouver', letterType: 'completion-all' }), 'completion');
+});
+
+test('historic issue dates use the signatory valid at the time', () => {
+  assert.equal(signer({ issueDate: '2024-12-31' }), 'old');
+  assert.equal(signer({ issueDate: '2025-01-01' }), 'current');
+  assert.equal(signer({ issueDate: '2024-06-01', letterType: 'completion' }), 'old');
+});
+
+test('registry mistakes are caught at load time', () => {
+  const load = (assignments, signatories = { a: person('A') }) => loadSignatories({ version: 't', signatories, assignments }, { locationKeys: ['Mississauga'] });
+
+  assert.throws(() => load([{ signatory: 'a', letterTypes: ['enrollment'] }]), /last assignment must have no conditions/);
+  assert.throws(() => load([{ signatory: 'nobody' }]), /unknown signatory "nobody"/);
+  assert.throws(() => load([{ signatory: 'a', letterTypes: ['memo'] }, { signatory: 'a' }]), /unknown letter types: memo/);
+  assert.throws(() => load([{ signatory: 'a', locations: ['Toronto'] }, { signatory: 'a' }]), /unknown locations: Toronto/);
+  assert.throws(() => load([{ signatory: 'a', from: '2025-02-30' }, { signatory: 'a' }]), /from must be YYYY-MM-DD/);
+  assert.throws(() => load([{ signatory: 'a', from: '2025-02-01', until: '2025-01-01' }, { signatory: 'a' }]), /ends before it starts/);
+  assert.throws(() => load([{ signatory: 'a' }], { a: { ...person('A'), signature: 'https://cdn.example/a.png' } }), /image path inside assets/);
+  assert.throws(() => load([{ signatory: 'a' }], { a: { ...person('A'), signature: '../secrets/a.png' } }), /image path inside assets/);
+  assert.throws(() => load([{ signatory: 'a' }], { a: { ...person('A'), title: '' } }), /missing title/);
+  assert.throws(() => load([{ signatory: 'a' }], { a: { ...person('A'), titles: { de: 'Leiterin' } } }), /unknown languages: de/);
+});
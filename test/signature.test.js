@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { PDFDocument } = require('pdf-lib');
+
+const { readRawBody, parseSignatureVersions, verifyHubSpotSignature, candidateUris } = require('../shared/signature');
+const { HttpError } = require('../shared/errors');
+const { stubLetterDependencies, send } = require('./helpers/letter-handler');
+
+const SECRET = 'client-secret';
+const URI = 'https://letters.example/letters/enrollment';
+// Spacing that re-serialising the parsed body would not reproduce
+const BODY = '{"recordID": "101", "student_id": "S-1"}';
+const NOW = Date.UTC(2025, 2, 5, 12, 0);
+
+const sha256Hex = (value) => crypto.createHash('sha256').update(value, 'utf8').digest('hex');
+const v1 = ({ body = BODY, secret = SECRET } = {}) => ({ 'x-hubspot-signature': sha256Hex(`${secret}${body}`) });
+const v2 = ({ uri = URI, body = BODY, secret = SECRET } = {}) => ({
+  'x-hubspot-signature': sha256Hex(`${secret}POST${uri}${body}`),
+  'x-hubspot-signature-version': 'v2'
+});
+// Replays are remembered for the whole file, so every v3 test signs its own timestamp
+const v3 = ({ timestamp, uri = URI, body = BODY, secret = SECRET }) => ({
+  'x-hubspot-signature-v3': crypto.createHmac('sha256', secret).update(`POST${uri}${body}${timestamp}`, 'utf8').digest('base64'),
+  'x-hubspot-request-timestamp': String(timestamp)
+});
+
+const verify = (headers, options = {}) =>
+  verifyHubSpotSignature({ method: 'post', headers }, { clientSecret: SECRET, uris: [URI], body: BODY, now: NOW, ...options });
+
+const rejected = (reason) => (err) => err instanceof HttpError && err.status === 401 && reason.test(err.body.reason);
+
+const ALL_VERSIONS = ['v1', 'v2', 'v3'];
+
+test('v3 signatures are accepted by default, v1 and v2 only when allowed', () => {
+  assert.equal(verify(v3({ timestamp: NOW - 1000 })), 'v3');
+  assert.throws(() => verify(v1()), rejected(/v1 is not accepted/));
+  assert.throws(() => verify(v2()), rejected(/v2 is not accepted/));
+
+  assert.equal(verify(v1(), { allowedVersions: ALL_VERSIONS }), 'v1');
+  assert.equal(verify(v2(), { allowedVersions: ALL_VERSIONS }), 'v2');
+  assert.throws(() => verify(v3({ timestamp: NOW - 2000 }), { allowedVersions: ['v1'] }), rejected(/v3 is not accepted/));
+});
+
+test('forged and unsigned requests are rejected', () => {
+  const options = { allowedVersions: ALL_VERSIONS };
+  assert.throws(() => verify({}, options), rejected(/Missing X-HubSpot-Signature/));
+  assert.throws(() => verify(v1({ secret: 'guess' }), options), rejected(/does not match/));
+  assert.throws(() => verify(v2({ uri: 'https://attacker.example/letters/enrollment' }), options), rejected(/does not match/));
+  assert.throws(() => verify(v3({ timestamp: NOW - 3000, secret: 'guess' })), rejected(/does not match/));
+  // A signature is only good for the body it was made for
+  assert.throws(() => verify(v3({ timestamp: NOW - 4000, body: '{"recordID":"102"}' })), rejected(/does not match/));
+  assert.throws(() => verify(v1(), { ...options, body: '{"recordID":"101","student_id":"S-1"}' }), rejected(/does not match/));
+  assert.throws(() => verify({ 'x-hubspot-signature': 'x', 'x-hubspot-signature-version': 'v4' }, { allowedVersions: [...ALL_VERSIONS, 'v4'] }), rejected(/Unsupported signature version v4/));
+});
+
+test('v3 timestamps must be within five minutes', () => {
+  assert.throws(() => verify(v3({ timestamp: NOW - 5 * 60 * 1000 - 1 })), rejected(/outside the allowed window/));
+  assert.throws(() => verify(v3({ timestamp: NOW + 5 * 60 * 1000 + 1 })), rejected(/outside the allowed window/));
+  assert.throws(() => verify({ ...v3({ timestamp: NOW - 5000 }), 'x-hubspot-request-timestamp': 'yesterday' }), rejected(/invalid X-HubSpot-Request-Timestamp/));
+  assert.equal(verify(v3({ timestamp: NOW - 5 * 60 * 1000 })), 'v3');
+});
+
+test('a v3 request is accepted once', () => {
+  const headers = v3({ timestamp: NOW - 6000 });
+  assert.equal(verify(headers), 'v3');
+  assert.throws(() => verify(headers), rejected(/already been processed/));
+  // A new timestamp to get past the replay check breaks the signature
+  assert.throws(() => verify({ ...headers, 'x-hubspot-request-timestamp': String(NOW - 5999) }), rejected(/does not match/));
+});
+
+test('v3 signs the URL with reserved characters decoded', () => {
+  const signed = 'https://letters.example/letters/enrollment?source=workflow:42';
+  const headers = v3({ timestamp: NOW - 8000, uri: signed });
+  assert.equal(verify(headers, { uris: ['https://letters.example/letters/enrollment?source=workflow%3A42'] }), 'v3');
+});
+
+test('signatures match the public URL, not the rewritten one', () => {
+  const req = {
+    method: 'POST',
+    url: '/api/letters.js?type=enrollment',
+    headers: { host: 'letters-abc123.vercel.app', 'x-forwarded-host': 'letters.example', 'x-forwarded-proto': 'https, http' }
+  };
+  const uris = candidateUris(req, ['/letters/enrollment', '/generatePDF', '/api/generatePDF']);
+  assert.deepEqual(uris, [
+    'https://letters.example/api/letters.js?type=enrollment',
+    'https://letters.example/letters/enrollment',
+    'https://letters.example/generatePDF',
+    'https://letters.example/api/generatePDF'
+  ]);
+  // A workflow still calling the legacy route
+  assert.equal(verify(v3({ timestamp: NOW - 9000, uri: 'https://letters.example/generatePDF' }), { uris }), 'v3');
+  assert.deepEqual(candidateUris({ url: '/letters/enrollment', headers: { host: 'localhost:3000' } }, []), ['https://localhost:3000/letters/enrollment']);
+});
+
+test('signature versions come from a checked list', () => {
+  assert.deepEqual(parseSignatureVersions(undefined), ['v3']);
+  assert.deepEqual(parseSignatureVersions(''), ['v3']);
+  assert.deepEqual(parseSignatureVersions(' v1, V3 '), ['v1', 'v3']);
+  for (const value of ['v4', 'v3,v3.1', ',']) {
+    assert.throws(() => parseSignatureVersions(value), /Signature versions must be a list/, value);
+  }
+});
+
+test('the raw body is read from the request stream', async () => {
+  const body = '{"name": "Zoë"}';
+  assert.equal(await readRawBody(Readable.from([Buffer.from(body.slice(0, 12)), Buffer.from(body.slice(12))])), body);
+  assert.equal(await readRawBody(Readable.from([])), '');
+  assert.equal(await readRawBody({ rawBody: Buffer.from(body) }), body);
+});
+
+test('the letter handler checks signatures against the bytes HubSpot sent', async (t) => {
+  const calls = stubLetterDependencies({
+    uploadPDF: async () => ({ url: 'https://files.example/letter.pdf' }),
+    createNote: async () => ({ id: 'note-1' }),
+    fetchAssociatedEnrollments: async () => [],
+    generatePDF: async () => Buffer.from(await (await PDFDocument.create()).save())
+  });
+  process.env.HUBSPOT_CLIENT_SECRET = SECRET;
+  process.env.VERIFICATION_STORE = 'memory';
+  delete process.env.SKIP_HUBSPOT_SIGNATURE;
+  delete process.env.HUBSPOT_SIGNATURE_VERSIONS;
+  t.after(() => { delete process.env.HUBSPOT_CLIENT_SECRET; });
+
+  const { letterHandler } = require('../shared/letter');
+  const body = JSON.stringify({
+    firstname: 'Jane', lastname: 'Doe', recordID: '101', student_id: 'S-1', location: 'Mississauga', course_id: 'AFK',
+    enrollment_record_id: '202', course_start_date: '1736121600000', course_end_date: '1743120000000'
+  }, null, 2);
+  const post = (headers) => send(letterHandler, {
+    url: '/api/letters.js?type=enrollment',
+    query: { type: 'enrollment' },
+    headers: { host: 'letters.example', ...headers },
+    body
+  });
+
+  const now = Date.now();
+  assert.equal((await post(v3({ timestamp: now, body }))).statusCode, 200);
+  assert.deepEqual(calls, ['generatePDF', 'uploadPDF', 'createNote']);
+
+  // Signed over the compact JSON a parsed-and-restringified body would give
+  assert.equal((await post(v3({ timestamp: now + 1, body: JSON.stringify(JSON.parse(body)) }))).statusCode, 401);
+  // v1 requests can be replayed forever, so they need HUBSPOT_SIGNATURE_VERSIONS
+  assert.equal((await post(v1({ body }))).statusCode, 401);
+  assert.equal(calls.length, 3);
+});
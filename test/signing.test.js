@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const forge = require('node-forge');
+const { PDFDocument } = require('pdf-lib');
+
+const { loadSigningIdentity } = require('../shared/signing');
+const { finishPDF } = require('../shared/pdf');
+
+// Self-signed organization certificate, bundled the way a CA would ship it
+const selfSignedP12 = (passphrase) => {
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const key = forge.pki.privateKeyFromPem(privateKey.export({ type: 'pkcs1', format: 'pem' }));
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = forge.pki.setRsaPublicKey(key.n, key.e);
+  cert.serialNumber = '01a2b3';
+  cert.validity.notBefore = new Date(Date.now() - 60 * 1000);
+  cert.validity.notAfter = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+  const name = [{ name: 'commonName', value: 'Prep Doctors Institute Test' }, { name: 'organizationName', value: 'Prep Doctors Institute' }];
+  cert.setSubject(name);
+  cert.setIssuer(name);
+  cert.sign(key, forge.md.sha256.create());
+  const p12 = forge.pkcs12.toPkcs12Asn1(key, [cert], passphrase, { algorithm: '3des' });
+  return Buffer.from(forge.asn1.toDer(p12).getBytes(), 'binary');
+};
+
+const samplePDF = async () => {
+  const doc = await PDFDocument.create();
+  doc.addPage().drawText('Letter of Enrollment');
+  return Buffer.from(await doc.save());
+};
+
+/**
+ * Check a signed PDF the way a reader does: the CMS message digest must
+ * match the signed byte ranges, and the signature must match the certificate
+ */
+const verifySignature = (pdf) => {
+  const [, ...numbers] = /\/ByteRange \[(\d+) (\d+) (\d+) (\d+)\]/.exec(pdf.toString('latin1'));
+  const [start, length, offset, rest] = numbers.map(Number);
+  const signed = Buffer.concat([pdf.subarray(start, start + length), pdf.subarray(offset, offset + rest)]);
+  const hex = pdf.subarray(start + length + 1, offset - 1).toString('latin1');
+
+  // The placeholder is zero-padded past the DER; the DER itself may end in a zero byte
+  const cms = forge.asn1.fromDer(forge.util.hexToBytes(hex), { parseAllBytes: false });
+  const signedData = cms.value[1].value[0];
+  const certificate = forge.pki.certificateFromAsn1(signedData.value[3].value[0]);
+  const signerInfo = signedData.value[4].value[0];
+  const attributes = signerInfo.value[3];
+
+  const attributeValue = (oid) => attributes.value.find(attr => forge.asn1.derToOid(attr.value[0].value) === oid).value[1].value[0];
+  const digest = Buffer.from(attributeValue(forge.pki.oids.messageDigest).value, 'binary');
+  const signedAttributes = forge.asn1.create(forge.asn1.Class.UNIVERSAL, forge.asn1.Type.SET, true, attributes.value);
+
+  return {
+    certificate,
+    hasSigningCertificateV2: Boolean(attributeValue('1.2.840.113549.1.9.16.2.47')),
+    digestMatches: digest.equals(crypto.createHash('sha256').update(signed).digest()),
+    signatureValid: crypto.verify(
+      'sha256',
+      Buffer.from(forge.asn1.toDer(signedAttributes).getBytes(), 'binary'),
+      forge.pki.publicKeyToPem(certificate.publicKey),
+      Buffer.from(signerInfo.value[5].value, 'binary')
+    )
+  };
+};
+
+const identity = loadSigningIdentity(selfSignedP12('s3cret'), 's3cret');
+const signing = { reason: 'Letter of Enrollment 0A1B2-C3D4E-F5G6H-7J8K9', location: 'Mississauga', contactInfo: 'info@prepdoctors.ca' };
+
+test('letters carry a PAdES signature that verifies against the certificate', async () => {
+  const signed = await finishPDF(await samplePDF(), { signing }, { identity });
+  const text = signed.toString('latin1');
+
+  assert.match(text, /\/SubFilter \/ETSI\.CAdES\.detached/);
+  assert.match(text, /\/Reason \(Letter of Enrollment 0A1B2-C3D4E-F5G6H-7J8K9\)/);
+  assert.match(text, /\/Name \(Prep Doctors Institute Test\)/);
+
+  const result = verifySignature(signed);
+  assert.equal(result.certificate.subject.getField('CN').value, 'Prep Doctors Institute Test');
+  assert.equal(result.hasSigningCertificateV2, true);
+  assert.equal(result.digestMatches, true);
+  assert.equal(result.signatureValid, true);
+});
+
+test('editing a signed letter invalidates the signature', async () => {
+  const signed = await finishPDF(await samplePDF(), { signing }, { identity });
+  const edited = Buffer.from(signed.toString('latin1').replace('(Mississauga)', '(Vancouver  )'), 'latin1');
+
+  assert.equal(edited.length, signed.length);
+  assert.equal(verifySignature(edited).digestMatches, false);
+});
+
+test('a wrong passphrase or a file without a key is rejected', () => {
+  assert.throws(() => loadSigningIdentity(selfSignedP12('s3cret'), 'wrong'));
+  const certOnly = forge.pkcs12.toPkcs12Asn1(null, [identity.certificate], 'x', { algorithm: '3des' });
+  assert.throws(() => loadSigningIdentity(Buffer.from(forge.asn1.toDer(certOnly).getBytes(), 'binary'), 'x'), /no RSA private key/);
+});
+
+test('letters are issued unsigned when no certificate is configured', async () => {
+  const pdf = await samplePDF();
+  assert.equal(await finishPDF(pdf, { signing }, { identity: null }), pdf);
+});
+
+test('password-protected letters keep a valid signature', async () => {
+  const encryption = { userPassword: 'S-1', ownerPassword: 'owner', permissions: ['print'] };
+  const signed = await finishPDF(await samplePDF(), { signing, encryption }, { identity });
+  const text = signed.toString('latin1');
+
+  assert.match(text, /\/Encrypt \d+ 0 R/);
+  assert.doesNotMatch(text, /\/Reason \(/);
+  const result = verifySignature(signed);
+  assert.equal(result.digestMatches, true);
+  assert.equal(result.signatureValid, true);
+});
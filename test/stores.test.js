@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { defineStores } = require('../shared/stores');
+const { createKvClient } = require('../shared/kv');
+const idempotency = require('../shared/idempotency');
+const verification = require('../shared/verification');
+const { KV_CONFIG, fakeKv } = require('./helpers/kv');
+
+const STORE_VARIABLES = ['IDEMPOTENCY_STORE', 'VERIFICATION_STORE', 'KV_REST_API_URL', 'KV_REST_API_TOKEN', 'UPSTASH_REDIS_REST_URL', 'UPSTASH_REDIS_REST_TOKEN'];
+
+const kind = (options) => defineStores({
+  label: 'test',
+  variable: 'TEST_STORE',
+  file: () => path.join(os.tmpdir(), 'letter-test-store.json'),
+  kvPrefix: 'letters:test:',
+  ...options
+});
+
+// Runs with the store env vars cleared and restores them afterwards
+const withCleanEnv = (t) => {
+  const saved = { ...process.env };
+  t.after(() => { process.env = saved; });
+  for (const name of [...STORE_VARIABLES, 'TEST_STORE', 'VERCEL_ENV']) delete process.env[name];
+};
+
+test('expiring kinds drop records after expiresAt, the others keep them', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stores-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const stale = { expiresAt: Date.now() - 1 };
+
+  for (const expires of [true, false]) {
+    const { createMemoryStore, createFileStore } = kind({ expires });
+    for (const store of [createMemoryStore(), createFileStore(path.join(dir, `${expires}.json`))]) {
+      await store.set('k', stale);
+      assert.equal(await store.add('k', { expiresAt: Date.now() + 1000 }), expires, `expires: ${expires}`);
+    }
+  }
+  // The file store does not keep what has expired
+  await kind({ expires: true }).createFileStore(path.join(dir, 'true.json')).set('other', stale);
+  assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(path.join(dir, 'true.json'), 'utf8'))), ['k']);
+});
+
+test('the kv store only sets a ttl on expiring kinds', async () => {
+  for (const expires of [true, false]) {
+    const kv = fakeKv();
+    const store = kind({ expires }).createKvStore(createKvClient('letters:test:', { config: KV_CONFIG, http: kv.http }));
+    await store.add('k', { expiresAt: Date.now() + 1000 });
+    assert.equal(kv.commands[0].includes('PX'), expires);
+  }
+});
+
+test('the store defaults to kv when it is configured, else memory', (t) => {
+  withCleanEnv(t);
+  const { getStore, setStore } = kind();
+
+  const memory = getStore();
+  assert.equal(getStore(), memory, 'created once');
+
+  setStore(null);
+  process.env.KV_REST_API_URL = KV_CONFIG.url;
+  process.env.KV_REST_API_TOKEN = KV_CONFIG.token;
+  assert.notEqual(getStore(), memory);
+
+  setStore(null);
+  process.env.TEST_STORE = 'redis';
+  assert.throws(() => getStore(), /TEST_STORE must be one of memory, file, kv/);
+});
+
+test('deployments only accept the shared store, for every kind', (t) => {
+  withCleanEnv(t);
+  const kinds = [
+    [idempotency.getIdempotencyStore, idempotency.setIdempotencyStore, 'IDEMPOTENCY_STORE', 'idempotency'],
+    [verification.getVerificationStore, verification.setVerificationStore, 'VERIFICATION_STORE', 'verification']
+  ];
+  t.after(() => kinds.forEach(([, setStore]) => setStore(null)));
+
+  for (const [getStore, setStore, variable, label] of kinds) {
+    for (const environment of ['preview', 'production']) {
+      process.env.VERCEL_ENV = environment;
+      for (const name of [undefined, 'memory', 'file']) {
+        setStore(null);
+        if (name) process.env[variable] = name;
+        else delete process.env[variable];
+        assert.throws(() => getStore(), new RegExp(`The ${name || 'memory'} ${label} store is per instance, so deployments need a shared one: set KV_REST_API_URL`), `${variable}=${name} on ${environment}`);
+      }
+    }
+    delete process.env[variable];
+
+    process.env.VERCEL_ENV = 'development';
+    setStore(null);
+    assert.ok(getStore());
+
+    process.env.VERCEL_ENV = 'production';
+    process.env.KV_REST_API_URL = KV_CONFIG.url;
+    process.env.KV_REST_API_TOKEN = KV_CONFIG.token;
+    setStore(null);
+    assert.ok(getStore());
+    delete process.env.KV_REST_API_URL;
+  }
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { renderLetterHTML, renderPageOptions } = require('../shared/template');
+
+const pixel = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+const letter = { title: 'Letter of Enrollment', template: 'completion-all' };
+
+const campus = { displayName: 'Mississauga', address: 'a', footerAddress: '<span class="totalPages">', phone: '905', email: 'info@prepdoctors.ca' };
+
+const view = (courseCount) => ({
+  contactName: 'Jane Doe',
+  campus,
+  signatory: { name: 'Dipty Missra', title: 'Client Relations Manager', phone: '905', extension: '116', email: 'info@prepdoctors.ca' },
+  assets: { fontFaces: '', logo: pixel, watermark: pixel, signature: pixel },
+  verification: { documentId: '0A1B2-C3D4E-F5G6H-7J8K9', url: 'https://letters.example/verify/0A1B2-C3D4E-F5G6H-7J8K9', qrCode: pixel },
+  languages: [{
+    language: 'en',
+    title: letter.title,
+    date: 'March 5, 2025',
+    campus,
+    courses: Array.from({ length: courseCount }, (_, i) => ({ name: `Course ${i + 1}`, duration: 'January 06, 2025 to March 28, 2025' })),
+    signatoryTitle: 'Client Relations Manager'
+  }]
+});
+
+test('every PDF page repeats the letterhead and a numbered footer', () => {
+  const options = renderPageOptions(letter, view(1));
+
+  assert.equal(options.displayHeaderFooter, true);
+  assert.match(options.headerTemplate, /<img src="data:image\/png;base64,/);
+  assert.match(options.footerTemplate, /Page <span class="pageNumber"><\/span> of <span class="totalPages"><\/span>/);
+  assert.equal(options.footerTemplate.match(/class="totalPages"/g).length, 1);
+  assert.match(options.footerTemplate, /Document ID <bdi>0A1B2-C3D4E-F5G6H-7J8K9<\/bdi>/);
+  assert.ok(parseFloat(options.margin.top) > 0 && parseFloat(options.margin.bottom) > 0);
+});
+
+test('long course lists render in full and keep the signature block together', () => {
+  const html = renderLetterHTML(letter, view(20));
+
+  assert.match(html, /<strong>Course 1:/);
+  assert.match(html, /<strong>Course 20:/);
+  assert.match(html, /\.signature-section\s*\{[^}]*break-inside: avoid/);
+  assert.match(html, /@media print\s*\{\s*\.screen-only\s*\{\s*display: none/);
+});
+
+const french = {
+  language: 'fr',
+  title: 'Lettre d’inscription',
+  date: '5 mars 2025',
+  campus: { ...campus, displayName: 'Montréal' },
+  courses: [{ name: 'Course 1', duration: 'du 6 janvier 2025 au 28 mars 2025' }],
+  signatoryTitle: 'Gestionnaire des relations avec la clientèle'
+};
+
+test('French letters use the French body, labels and footer', () => {
+  const frenchView = { ...view(1), campus: french.campus, languages: [french] };
+  const html = renderLetterHTML({ ...letter, template: 'enrollment' }, frenchView);
+
+  assert.match(html, /<html lang="fr" dir="ltr">/);
+  assert.match(html, /Objet\u00a0: Lettre d’inscription/);
+  assert.match(html, /suit actuellement à temps plein/);
+  assert.match(html, /installations de Prep Doctors à Montréal/);
+  assert.match(html, /<strong>Course 1\u00a0:<\/strong> du 6 janvier 2025 au 28 mars 2025\./);
+  assert.match(html, /Gestionnaire des relations avec la clientèle/);
+  assert.match(html, /Tél\.\u00a0: <bdi>905<\/bdi> poste\u00a0: <bdi>116<\/bdi>/);
+  assert.doesNotMatch(html, /Please be informed|Sincerely/);
+  assert.match(renderPageOptions(letter, frenchView).footerTemplate, /Page <span class="pageNumber"><\/span> de <span class="totalPages"><\/span>/);
+});
+
+test('bilingual letters print both languages side by side with one signature', () => {
+  const english = view(1);
+  const bilingual = { ...english, languages: [french, ...english.languages] };
+  const html = renderLetterHTML({ ...letter, template: 'enrollment' }, bilingual);
+
+  const columns = [...html.matchAll(/<div class="letter-column" lang="(\w+)" dir="ltr">/g)].map(match => match[1]);
+  assert.deepEqual(columns, ['fr', 'en']);
+  assert.match(html, /class="letter-content bilingual"/);
+  assert.match(html, /Subject: Letter of Enrollment/);
+  assert.match(html, /Objet\u00a0: Lettre d’inscription/);
+  assert.equal(html.match(/class="signature-section"/g).length, 1);
+  assert.match(html, /<bdi>Cordialement,<\/bdi> \/ <bdi>Sincerely,<\/bdi>/);
+  assert.match(html, /<bdi>Gestionnaire des relations avec la clientèle<\/bdi> \/ <bdi>Client Relations Manager<\/bdi>/);
+  assert.match(renderPageOptions(letter, bilingual).footerTemplate, /<bdi>Numéro de document<\/bdi> \/ <bdi>Document ID<\/bdi> <bdi>0A1B2/);
+});
+
+test('right-to-left letters set the direction on the page, columns and footer', () => {
+  const arabic = { ...view(2).languages[0], language: 'ar', title: 'خطاب تسجيل', signatoryTitle: 'Client Relations Manager' };
+  const english = view(2);
+  const bilingual = { ...english, languages: [arabic, ...english.languages] };
+  const html = renderLetterHTML({ ...letter, template: 'enrollment' }, bilingual);
+
+  assert.match(html, /<html lang="ar" dir="rtl">/);
+  assert.match(html, /<div class="letter-column" lang="ar" dir="rtl">/);
+  assert.match(html, /<div class="letter-column" lang="en" dir="ltr">/);
+  assert.match(html, /الموضوع: خطاب تسجيل/);
+  // Two courses: Arabic has a dual form
+  assert.match(html, /<h2>الدورتان:<\/h2>/);
+  assert.match(html, /\.courses-list \{ margin-inline-start:/);
+  assert.match(renderPageOptions(letter, bilingual).footerTemplate, /<div class="page-footer" dir="rtl">/);
+});
+
+test('the course heading agrees with the number of courses', () => {
+  assert.match(renderLetterHTML(letter, view(1)), /<h2>Course:<\/h2>/);
+  assert.match(renderLetterHTML(letter, view(3)), /<h2>Courses:<\/h2>/);
+});
@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  newDocumentId, parseDocumentId, sha256, verificationView,
+  createMemoryStore, createFileStore, createKvStore, setVerificationStore, recordLetter, verifyLetter, verifyHandler
+} = require('../shared/verification');
+const { createKvClient } = require('../shared/kv');
+const { stubLetterDependencies, send } = require('./helpers/letter-handler');
+const { KV_CONFIG, fakeKv } = require('./helpers/kv');
+
+const KV_VARIABLES = ['VERIFICATION_STORE', 'KV_REST_API_URL', 'KV_REST_API_TOKEN', 'UPSTASH_REDIS_REST_URL', 'UPSTASH_REDIS_REST_TOKEN'];
+
+const letter = (documentId) => ({
+  documentId,
+  letterType: 'enrollment',
+  title: 'Letter of Enrollment',
+  issueDate: '2025-03-05',
+  studentName: 'Jane Doe',
+  courses: [{ name: 'AFK', duration: 'January 06, 2025 to March 28, 2025', hubspotId: '123', location: 'Mississauga' }]
+});
+
+test('document IDs are random, readable and survive retyping', () => {
+  const ids = new Set(Array.from({ length: 200 }, newDocumentId));
+  assert.equal(ids.size, 200);
+  for (const id of ids) assert.match(id, /^[0-9A-HJKMNP-TV-Z]{5}(-[0-9A-HJKMNP-TV-Z]{5}){3}$/);
+
+  assert.equal(parseDocumentId('0a1b2 c3d4e f5g6h 7j8k9'), '0A1B2-C3D4E-F5G6H-7J8K9');
+  assert.equal(parseDocumentId('OA1B2-C3D4E-F5G6H-7J8K9'), '0A1B2-C3D4E-F5G6H-7J8K9');
+  for (const value of ['', 'ABC', '0A1B2-C3D4E-F5G6H-7J8KU', '../../etc/passwd', undefined]) {
+    assert.equal(parseDocumentId(value), null, String(value));
+  }
+});
+
+test('the QR code links to the verification page', async () => {
+  process.env.VERIFY_BASE_URL = 'https://letters.example/';
+  const view = await verificationView('0A1B2-C3D4E-F5G6H-7J8K9');
+  delete process.env.VERIFY_BASE_URL;
+
+  assert.equal(view.url, 'https://letters.example/verify/0A1B2-C3D4E-F5G6H-7J8K9');
+  assert.match(view.qrCode, /^data:image\/png;base64,/);
+});
+
+test('a recorded letter verifies, and only its own PDF matches', async () => {
+  const store = createMemoryStore();
+  const id = newDocumentId();
+  const pdf = Buffer.from('%PDF-1.7 letter');
+  await recordLetter(letter(id), pdf, { store });
+
+  const result = await verifyLetter(id.toLowerCase(), sha256(pdf).toUpperCase(), { store });
+  assert.deepEqual(result, {
+    documentId: id,
+    letterType: 'enrollment',
+    title: 'Letter of Enrollment',
+    issueDate: '2025-03-05',
+    studentName: 'Jane Doe',
+    courses: [{ name: 'AFK', duration: 'January 06, 2025 to March 28, 2025' }],
+    hashMatches: true
+  });
+  assert.equal((await verifyLetter(id, sha256(Buffer.from('%PDF-1.7 edited')), { store })).hashMatches, false);
+  assert.equal((await verifyLetter(id, undefined, { store })).hashMatches, null);
+  assert.equal(await verifyLetter(newDocumentId(), undefined, { store }), null);
+
+  await assert.rejects(recordLetter(letter(id), pdf, { store }), /already recorded/);
+});
+
+test('the file store keeps letters across instances', async () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'verification-')), 'letters.json');
+  const id = newDocumentId();
+  await recordLetter(letter(id), Buffer.from('%PDF'), { store: createFileStore(file) });
+
+  const result = await verifyLetter(id, sha256(Buffer.from('%PDF')), { store: createFileStore(file) });
+  assert.equal(result.studentName, 'Jane Doe');
+  assert.equal(result.hashMatches, true);
+});
+
+test('the kv store lets /verify read letters recorded by the letters function', async () => {
+  const kv = fakeKv();
+  const instance = () => createKvStore(createKvClient('letters:verification:', { config: KV_CONFIG, http: kv.http }));
+  const id = newDocumentId();
+  await recordLetter(letter(id), Buffer.from('%PDF'), { store: instance() });
+
+  const result = await verifyLetter(id, sha256(Buffer.from('%PDF')), { store: instance() });
+  assert.equal(result.studentName, 'Jane Doe');
+  assert.equal(result.hashMatches, true);
+  await assert.rejects(recordLetter(letter(id), Buffer.from('%PDF'), { store: instance() }), /already recorded/);
+  // Records never expire
+  assert.deepEqual(kv.commands[0].slice(0, 2), ['SET', `letters:verification:${id}`]);
+  assert.equal(kv.commands[0].at(-1), 'NX');
+});
+
+test('letters are not issued while nothing could verify them', async (t) => {
+  const calls = stubLetterDependencies({
+    uploadPDF: async () => ({ url: 'https://files.example/letter.pdf' }),
+    createNote: async () => ({ id: 'note-1' }),
+    fetchAssociatedEnrollments: async () => [],
+    generatePDF: async () => Buffer.from('%PDF')
+  });
+  const saved = { ...process.env };
+  t.after(() => {
+    process.env = saved;
+    setVerificationStore(null);
+  });
+  for (const name of KV_VARIABLES) delete process.env[name];
+  setVerificationStore(null);
+  process.env.VERCEL_ENV = 'preview';
+  process.env.SKIP_HUBSPOT_SIGNATURE = 'true';
+
+  const { letterHandler } = require('../shared/letter');
+  const res = await send(letterHandler, {
+    query: { type: 'enrollment' },
+    body: {
+      firstname: 'Jane', lastname: 'Doe', recordID: '101', student_id: 'S-1', location: 'Mississauga', course_id: 'AFK',
+      enrollment_record_id: '202', course_start_date: '1736121600000', course_end_date: '1743120000000'
+    }
+  });
+
+  assert.equal(res.statusCode, 500);
+  assert.match(res.body.message, /set KV_REST_API_URL and KV_REST_API_TOKEN/);
+  assert.deepEqual(calls, []);
+});
+
+test('GET /verify/:documentId', async () => {
+  const store = createMemoryStore();
+  setVerificationStore(store);
+  const id = newDocumentId();
+  const pdf = Buffer.from('%PDF');
+  await recordLetter(letter(id), pdf, { store });
+
+  const get = async (method, query) => {
+    const res = { headers: {} };
+    res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (body) => { res.body = body; return res; };
+    await verifyHandler({ method, query }, res);
+    return res;
+  };
+
+  const found = await get('GET', { documentId: id, sha256: sha256(pdf) });
+  assert.equal(found.statusCode, 200);
+  assert.equal(found.body.valid, true);
+  assert.equal(found.body.hashMatches, true);
+  assert.equal(found.headers['cache-control'], 'no-store');
+
+  assert.equal((await get('GET', { documentId: newDocumentId() })).statusCode, 404);
+  assert.equal((await get('GET', { documentId: 'not-an-id' })).statusCode, 404);
+  assert.equal((await get('GET', { documentId: id, sha256: 'abc' })).statusCode, 400);
+  assert.equal((await get('POST', { documentId: id })).statusCode, 405);
+});